@@ -23,12 +23,31 @@ class AudioAnalyzer {
         this.midFreqRange = { min: 10, max: 80 };     // Mids (snares, vocals)
         this.highFreqRange = { min: 80, max: 200 };   // Highs (hi-hats, cymbals)
 
-        // Difficulty settings
+        // Difficulty settings (bpmRange is used when a video has no tapped tempo)
         this.difficultySettings = {
-            easy: { threshold: 2.0, minInterval: 0.8, maxNotes: 0.3 },
-            medium: { threshold: 1.5, minInterval: 0.4, maxNotes: 0.6 },
-            hard: { threshold: 1.2, minInterval: 0.2, maxNotes: 1.0 }
+            easy: { threshold: 2.0, minInterval: 0.8, maxNotes: 0.3, holdChance: 0.1, chordChance: 0.08, maxChordSize: 2, mineChance: 0, bpmRange: [80, 120] },
+            medium: { threshold: 1.5, minInterval: 0.4, maxNotes: 0.6, holdChance: 0.12, chordChance: 0.15, maxChordSize: 2, mineChance: 0, bpmRange: [100, 140] },
+            hard: { threshold: 1.2, minInterval: 0.2, maxNotes: 1.0, holdChance: 0.15, chordChance: 0.25, maxChordSize: 3, mineChance: 0.05, bpmRange: [120, 180] }
         };
+        
+        // Mines keep this many seconds away from notes in their lane
+        this.mineClearance = 0.25;
+        
+        // Custom difficulties (see DifficultyProfiles)
+        this.difficultyProfiles = null;
+    }
+
+    /**
+     * Get the generator settings for a built-in difficulty or custom profile ID
+     * Unknown difficulties (e.g. a deleted profile) fall back to medium
+     */
+    getSettings(difficulty) {
+        if (this.difficultySettings[difficulty]) {
+            return this.difficultySettings[difficulty];
+        }
+
+        const profile = this.difficultyProfiles && this.difficultyProfiles.getProfile(difficulty);
+        return profile ? DifficultyProfiles.toSettings(profile) : this.difficultySettings.medium;
     }
 
     /**
@@ -92,10 +111,16 @@ class AudioAnalyzer {
         if (!this.analyser) return null;
 
         this.analyser.getByteFrequencyData(this.frequencyData);
+        return this.detectBeatInSpectrum(this.frequencyData, currentTime);
+    }
 
+    /**
+     * Detect beat in a byte frequency spectrum (live analyser or offline FFT frame)
+     */
+    detectBeatInSpectrum(frequencyData, currentTime) {
         // Calculate energy in bass frequencies (most reliable for beat detection)
-        const bassEnergy = this.calculateEnergy(this.frequencyData, this.lowFreqRange);
-        const midEnergy = this.calculateEnergy(this.frequencyData, this.midFreqRange);
+        const bassEnergy = this.calculateEnergy(frequencyData, this.lowFreqRange);
+        const midEnergy = this.calculateEnergy(frequencyData, this.midFreqRange);
         const combinedEnergy = bassEnergy * 0.7 + midEnergy * 0.3;
 
         // Add to history
@@ -129,6 +154,200 @@ class AudioAnalyzer {
         return null;
     }
 
+    /**
+     * Decode a local audio/video file into an AudioBuffer
+     */
+    async decodeAudioFile(file) {
+        if (!this.audioContext) {
+            this.init();
+        }
+        if (!this.audioContext) {
+            throw new Error('Web Audio API is not available');
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+
+        try {
+            return await this.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw new Error(`Could not decode audio from "${file.name}"`);
+        }
+    }
+
+    /**
+     * Offline onset detection over a decoded track
+     * Steps through the whole buffer at 60 frames per second, builds the same byte
+     * spectrum the live AnalyserNode produces and runs detectBeatInSpectrum on it
+     */
+    async detectBeatsOffline(audioBuffer, difficulty = 'medium', onProgress = null) {
+        const samples = this.mixToMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+        const fftSize = 512;
+        const hopSize = Math.round(sampleRate / 60);
+        const frameCount = Math.floor((samples.length - fftSize) / hopSize);
+        const frequencyData = new Uint8Array(fftSize / 2);
+        const smoothed = new Float32Array(fftSize / 2);
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        const onsets = [];
+
+        // Run the detector from a clean state with the difficulty's sensitivity
+        this.reset();
+        this.setDifficulty(difficulty);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frame * hopSize;
+            const time = (start + fftSize / 2) / sampleRate; // Window centre
+
+            this.computeByteSpectrum(samples, start, real, imag, smoothed, frequencyData);
+
+            const beat = this.detectBeatInSpectrum(frequencyData, time);
+            if (beat) {
+                onsets.push(beat);
+            }
+
+            // Yield to the browser now and then so the loading screen can update
+            if (frame % 2000 === 0) {
+                if (onProgress) onProgress(frame / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        this.energyHistory = [];
+        this.lastBeatTime = 0;
+
+        return onsets;
+    }
+
+    /**
+     * Mix all channels of an AudioBuffer down to mono
+     */
+    mixToMono(audioBuffer) {
+        const channelCount = audioBuffer.numberOfChannels;
+        if (channelCount === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channelCount; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / channelCount;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Compute a byte frequency spectrum like AnalyserNode.getByteFrequencyData
+     * (Blackman window, time smoothing, dB scaled between -100 and -30 dB)
+     * @param {Float32Array} real - FFT work buffer of fftSize values (overwritten)
+     * @param {Float32Array} imag - FFT work buffer of fftSize values (overwritten)
+     */
+    computeByteSpectrum(samples, start, real, imag, smoothed, output) {
+        const fftSize = real.length;
+        imag.fill(0);
+
+        for (let i = 0; i < fftSize; i++) {
+            const a = 2 * Math.PI * i / (fftSize - 1);
+            const windowValue = 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+            real[i] = (samples[start + i] || 0) * windowValue;
+        }
+
+        this.fft(real, imag);
+
+        const smoothing = 0.3; // Matches analyser.smoothingTimeConstant
+        const minDecibels = -100;
+        const maxDecibels = -30;
+
+        for (let i = 0; i < output.length; i++) {
+            const magnitude = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]) / fftSize;
+            smoothed[i] = smoothing * smoothed[i] + (1 - smoothing) * magnitude;
+
+            const decibels = 20 * Math.log10(smoothed[i] || 1e-10);
+            const scaled = 255 * (decibels - minDecibels) / (maxDecibels - minDecibels);
+            output[i] = Math.max(0, Math.min(255, Math.floor(scaled)));
+        }
+    }
+
+    /**
+     * In-place radix-2 FFT
+     */
+    fft(real, imag) {
+        const n = real.length;
+
+        // Bit reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+
+            for (let start = 0; start < n; start += size) {
+                let curReal = 1;
+                let curImag = 0;
+
+                for (let k = 0; k < size / 2; k++) {
+                    const even = start + k;
+                    const odd = even + size / 2;
+                    const tReal = curReal * real[odd] - curImag * imag[odd];
+                    const tImag = curReal * imag[odd] + curImag * real[odd];
+
+                    real[odd] = real[even] - tReal;
+                    imag[odd] = imag[even] - tImag;
+                    real[even] += tReal;
+                    imag[even] += tImag;
+
+                    const nextReal = curReal * wReal - curImag * wImag;
+                    curImag = curReal * wImag + curImag * wReal;
+                    curReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a chart from detected onsets (for local files)
+     * Lanes follow PatternLibrary patterns, switching pattern every 8 onsets
+     */
+    generateBeatsFromOnsets(onsets, difficulty = 'medium', rng = new SeededRandom(), laneCount = KeyModes.DEFAULT_LANE_COUNT) {
+        const settings = this.getSettings(difficulty);
+        const patternLength = 8;
+        let steps = [];
+
+        this.beats = onsets
+            .filter(onset => onset.time >= 2) // Leave time for the first notes to travel in
+            .map((onset, index) => {
+                if (index % patternLength === 0) {
+                    const entry = PatternLibrary.choose(settings.patterns || difficulty, 1, rng);
+                    // Onsets are single notes, so chord patterns only contribute their first lane
+                    steps = PatternLibrary.generate(entry.pattern, patternLength, rng, laneCount);
+                }
+                return {
+                    time: Math.round(onset.time * 1000) / 1000,
+                    lane: steps[index % patternLength][0],
+                    intensity: Math.min(1, onset.intensity / (settings.threshold * 2))
+                };
+            });
+
+        this.preventOverlaps(rng, laneCount, settings.minGap);
+        this.addMines(settings.mineChance, rng, laneCount);
+
+        return this.beats;
+    }
+
     /**
      * Get current frequency data for visualization
      */
@@ -150,86 +369,186 @@ class AudioAnalyzer {
     /**
      * Generate beats for a simulated audio track
      * Since we can't directly access YouTube audio, we'll generate beats
-     * based on common BPM patterns and refine with visual analysis
+     * based on common BPM patterns and refine with visual analysis.
+     * Each measure of the tempo map is filled from a PatternLibrary pattern picked for
+     * the difficulty and the song's density curve, so charts read like hand-made ones.
+     * All randomness comes from the seeded rng so a seed always yields the same chart
      */
-    generateBeatsForDuration(duration, difficulty = 'medium', bpm = 120) {
+    generateBeatsForDuration(duration, difficulty = 'medium', tempoMap = new TempoMap(), rng = new SeededRandom(), laneCount = KeyModes.DEFAULT_LANE_COUNT) {
         this.beats = [];
-        const settings = this.difficultySettings[difficulty];
-        const beatInterval = 60 / bpm; // Seconds per beat
+        const settings = this.getSettings(difficulty);
 
-        let currentTime = 2; // Start after 2 seconds
+        // Measures follow the tempo map; notes start after 2 seconds
+        const startTime = 2;
         const endTime = duration - 2; // End 2 seconds before end
-
-        while (currentTime < endTime) {
-            // Add main beats
-            if (Math.random() < settings.maxNotes) {
-                this.beats.push({
-                    time: currentTime,
-                    lane: Math.floor(Math.random() * 4),
-                    intensity: 1
-                });
+        const measures = tempoMap.getMeasures(startTime, endTime);
+        const holds = []; // { beat, beatInterval } of every hold, fitted to its lane at the end
+        let sectionIntensity = 1;
+
+        measures.forEach((measure, index) => {
+            // Every 8 measures starts a calmer or busier section
+            if (index % 8 === 0) {
+                sectionIntensity = rng.nextFloat(0.8, 1.15);
             }
 
-            // Add subdivisions for harder difficulties
-            if (difficulty !== 'easy' && Math.random() < 0.3) {
-                const subdivision = currentTime + beatInterval / 2;
-                if (subdivision < endTime) {
-                    this.beats.push({
-                        time: subdivision,
-                        lane: Math.floor(Math.random() * 4),
-                        intensity: 0.7
-                    });
+            const beatInterval = measure.beatInterval;
+            const progress = Math.max(0, (measure.time - startTime) / (endTime - startTime));
+            const density = Math.min(1, PatternLibrary.densityAt(progress) * sectionIntensity);
+            const entry = PatternLibrary.choose(settings.patterns || difficulty, density, rng);
+            const stepCount = measure.meter * entry.step;
+            const steps = PatternLibrary.generate(entry.pattern, stepCount, rng, laneCount);
+
+            for (let i = 0; i < stepCount; i++) {
+                const time = measure.time + (i * beatInterval) / entry.step;
+                if (time >= measure.endTime - TempoMap.EPSILON || time >= endTime) break;
+                if (time < startTime) continue;
+
+                // Thin out on-beat notes by difficulty (and only slightly by density),
+                // off-beat notes by density
+                const onBeat = i % entry.step === 0;
+                const keepChance = onBeat ? settings.maxNotes * Math.min(1, density + 0.2) : density;
+                if (rng.next() >= keepChance) continue;
+
+                const intensity = onBeat ? 1 : (i % (entry.step / 2) === 0 ? 0.7 : 0.5);
+                const lanes = steps[i];
+
+                for (const lane of lanes) {
+                    this.beats.push({ time: time, lane: lane, intensity: intensity });
                 }
-            }
 
-            // Add rapid notes for hard difficulty
-            if (difficulty === 'hard' && Math.random() < 0.2) {
-                const rapid1 = currentTime + beatInterval / 4;
-                const rapid2 = currentTime + (beatInterval * 3) / 4;
-                if (rapid1 < endTime) {
-                    this.beats.push({
-                        time: rapid1,
-                        lane: Math.floor(Math.random() * 4),
-                        intensity: 0.5
-                    });
+                if (!onBeat || lanes.length > 1) continue;
+                const beat = this.beats[this.beats.length - 1];
+
+                // Single on-beat notes may become holds lasting one or two beats
+                if (rng.next() < settings.holdChance) {
+                    const holdDuration = beatInterval * (1 + rng.nextInt(2));
+                    if (time + holdDuration < endTime) {
+                        beat.type = 'hold';
+                        beat.duration = holdDuration;
+                        holds.push({ beat: beat, beatInterval: beatInterval });
+                    }
                 }
-                if (rapid2 < endTime) {
-                    this.beats.push({
-                        time: rapid2,
-                        lane: Math.floor(Math.random() * 4),
-                        intensity: 0.5
-                    });
+
+                // Chords on strong beats: extra notes at the same time in other lanes
+                if ((i / entry.step) % 2 === 0 && rng.next() < settings.chordChance) {
+                    const chordSize = 2 + rng.nextInt(settings.maxChordSize - 1);
+                    const otherLanes = this.getLanes(laneCount).filter(l => l !== beat.lane);
+                    for (let n = 1; n < chordSize; n++) {
+                        this.beats.push({
+                            time: time,
+                            lane: otherLanes.splice(rng.nextInt(otherLanes.length), 1)[0],
+                            intensity: 1
+                        });
+                    }
                 }
             }
-
-            currentTime += beatInterval;
-        }
+        });
 
         // Sort beats by time
         this.beats.sort((a, b) => a.time - b.time);
 
+        // Holds end before the next note in their lane
+        this.fitHolds(holds, settings.minGap);
+
         // Ensure no two notes are on the same lane at nearly the same time
-        this.preventOverlaps();
+        this.preventOverlaps(rng, laneCount, settings.minGap);
+
+        // Mines go in last so they never change the notes a seed produces
+        this.addMines(settings.mineChance, rng, laneCount);
 
         return this.beats;
     }
 
+    /**
+     * Shorten holds a beat at a time until they end minGap before the next note in their
+     * lane; holds without room for a single beat become taps
+     * @param {object[]} holds - { beat, beatInterval } of the holds in this.beats (sorted by time)
+     */
+    fitHolds(holds, minGap = 0.1) {
+        const beatIntervals = new Map(holds.map(hold => [hold.beat, hold.beatInterval]));
+        const nextTime = new Map(); // Lane -> time of the next note, filled walking backwards
+
+        for (let i = this.beats.length - 1; i >= 0; i--) {
+            const beat = this.beats[i];
+            const next = nextTime.has(beat.lane) ? nextTime.get(beat.lane) : Infinity;
+
+            if (beatIntervals.has(beat)) {
+                const beatInterval = beatIntervals.get(beat);
+                while (beat.duration > beatInterval / 2 && beat.time + beat.duration + minGap > next) {
+                    beat.duration -= beatInterval;
+                }
+                if (beat.duration <= beatInterval / 2) {
+                    delete beat.type;
+                    delete beat.duration;
+                }
+            }
+            nextTime.set(beat.lane, beat.time);
+        }
+    }
+
+    /**
+     * Scatter mines halfway between consecutive notes, each with the given chance,
+     * in a lane that has no note (or hold) within mineClearance seconds
+     */
+    addMines(mineChance, rng = new SeededRandom(), laneCount = KeyModes.DEFAULT_LANE_COUNT) {
+        if (!mineChance || this.beats.length < 2) return;
+
+        const clearance = this.mineClearance;
+        const times = [...new Set(this.beats.map(beat => beat.time))];
+        const mines = [];
+
+        // Sweep the (sorted) beats along with the gaps: each lane is busy until
+        // clearance after the end of its latest note starting before time + clearance
+        const laneBusyUntil = this.getLanes(laneCount).map(() => -Infinity);
+        let beatIndex = 0;
+
+        for (let i = 1; i < times.length; i++) {
+            if (rng.next() >= mineChance) continue;
+
+            const time = Math.round((times[i - 1] + times[i]) / 2 * 1000) / 1000;
+            while (beatIndex < this.beats.length && this.beats[beatIndex].time - clearance < time) {
+                const beat = this.beats[beatIndex++];
+                const end = beat.time + (beat.type === 'hold' ? beat.duration : 0) + clearance;
+                laneBusyUntil[beat.lane] = Math.max(laneBusyUntil[beat.lane], end);
+            }
+
+            const freeLanes = this.getLanes(laneCount).filter(lane => laneBusyUntil[lane] <= time);
+            if (freeLanes.length === 0) continue;
+
+            mines.push({ time: time, lane: rng.pick(freeLanes), type: 'mine', intensity: 1 });
+        }
+
+        this.beats = this.beats.concat(mines).sort((a, b) => a.time - b.time);
+    }
+
     /**
      * Prevent overlapping notes on the same lane
+     * A lane stays busy until minGap after its last note ends (hold notes end at time + duration);
+     * notes landing on a busy lane move to a free one, or are dropped if every lane is busy
      */
-    preventOverlaps() {
-        const minGap = 0.2; // Minimum 200ms between notes on same lane
+    preventOverlaps(rng = new SeededRandom(), laneCount = KeyModes.DEFAULT_LANE_COUNT, minGap = 0.1) {
+        // Default minimum of 100ms between notes on same lane keeps fast trills and jacks
+        const lanes = this.getLanes(laneCount);
+        const laneFreeAt = lanes.map(() => -Infinity);
         
-        for (let i = 1; i < this.beats.length; i++) {
-            const prev = this.beats[i - 1];
-            const curr = this.beats[i];
-            
-            if (curr.lane === prev.lane && curr.time - prev.time < minGap) {
+        this.beats = this.beats.filter(beat => {
+            if (laneFreeAt[beat.lane] > beat.time) {
                 // Move to a different lane
-                const availableLanes = [0, 1, 2, 3].filter(l => l !== prev.lane);
-                curr.lane = availableLanes[Math.floor(Math.random() * availableLanes.length)];
+                const availableLanes = lanes.filter(l => laneFreeAt[l] <= beat.time);
+                if (availableLanes.length === 0) return false;
+                beat.lane = rng.pick(availableLanes);
             }
-        }
+            
+            laneFreeAt[beat.lane] = beat.time + (beat.type === 'hold' ? beat.duration : 0) + minGap;
+            return true;
+        });
+    }
+
+    /**
+     * Get the lane indices for a lane count
+     */
+    getLanes(laneCount) {
+        return Array.from({ length: laneCount }, (_, lane) => lane);
     }
 
     /**
@@ -250,11 +569,9 @@ class AudioAnalyzer {
      * Set difficulty which affects beat detection sensitivity
      */
     setDifficulty(difficulty) {
-        const settings = this.difficultySettings[difficulty];
-        if (settings) {
-            this.sensitivity = settings.threshold;
-            this.minBeatInterval = settings.minInterval;
-        }
+        const settings = this.getSettings(difficulty);
+        this.sensitivity = settings.threshold;
+        this.minBeatInterval = settings.minInterval;
     }
 
     /**
@@ -0,0 +1,99 @@
+/**
+ * Autoplay Bot Module
+ * Plays a chart by itself to preview it: presses each note at its hit time (plus an optional
+ * humanized timing error), holds hold notes to their end and leaves mines alone
+ *
+ * The bot only decides when to press and release; GameEngine feeds its actions to
+ * handleKeyPress/handleKeyRelease, so the bot is judged exactly like a player.
+ */
+class AutoplayBot {
+    /**
+     * @param {number} jitter - Typical timing error in seconds (0 = exact)
+     * @param {number} seed - Seed for the timing errors
+     */
+    constructor(jitter = 0, seed = 0) {
+        this.jitter = jitter;
+        this.rng = new SeededRandom(seed);
+        this.offsets = new WeakMap(); // Note -> { press, release, pressed } timing errors
+        this.held = new Map();        // Lane -> song time its key is let go
+    }
+
+    /**
+     * Let go of every key (after a seek or restart)
+     */
+    reset() {
+        this.offsets = new WeakMap();
+        this.held.clear();
+    }
+
+    /**
+     * Check whether the bot is holding a lane's key
+     */
+    isLaneHeld(lane) {
+        return this.held.has(lane);
+    }
+
+    /**
+     * Get the presses and releases due by a song time
+     * @param {Note[]} notes - Notes on screen
+     * @returns {object[]} - { type: 'press' | 'release', lane, time } in time order
+     */
+    update(currentTime, notes) {
+        const actions = [];
+
+        for (const note of notes) {
+            if (!note.isActive() || note.isMine()) continue;
+
+            const offset = this.getOffset(note);
+            const pressTime = note.hitTime + offset.press;
+            if (offset.pressed || pressTime > currentTime) continue;
+            offset.pressed = true;
+
+            // A tap still down in the lane comes up first
+            if (this.held.has(note.lane)) {
+                actions.push({ type: 'release', lane: note.lane, time: Math.min(this.held.get(note.lane), pressTime) });
+            }
+            actions.push({ type: 'press', lane: note.lane, time: pressTime });
+            this.held.set(note.lane, note.isHold()
+                ? Math.max(pressTime, note.endTime + offset.release)
+                : pressTime + AutoplayBot.TAP_LENGTH);
+        }
+
+        for (const [lane, releaseTime] of this.held) {
+            if (releaseTime <= currentTime && !actions.some(action => action.type === 'press' && action.lane === lane)) {
+                actions.push({ type: 'release', lane: lane, time: releaseTime });
+                this.held.delete(lane);
+            }
+        }
+
+        return actions.sort((a, b) => a.time - b.time || (a.type === 'release' ? -1 : 1));
+    }
+
+    /**
+     * Get a note's timing errors, picked once per note
+     */
+    getOffset(note) {
+        if (!this.offsets.has(note)) {
+            this.offsets.set(note, { press: this.nextOffset(), release: this.nextOffset(), pressed: false });
+        }
+        return this.offsets.get(note);
+    }
+
+    /**
+     * Draw a timing error: roughly normal around 0 with the jitter as its spread, kept
+     * within MAX_OFFSET so the bot never misses
+     */
+    nextOffset() {
+        if (this.jitter <= 0) return 0;
+
+        // The sum of three uniform numbers is close to a bell curve (spread 0.5, scaled to 1)
+        const bell = (this.rng.next() + this.rng.next() + this.rng.next() - 1.5) * 2;
+        return Math.max(-AutoplayBot.MAX_OFFSET, Math.min(AutoplayBot.MAX_OFFSET, bell * this.jitter));
+    }
+}
+
+AutoplayBot.TAP_LENGTH = 0.05;  // Seconds a tap's key stays down
+AutoplayBot.MAX_OFFSET = 0.1;   // Largest timing error in seconds (inside the Good window)
+
+// Export as global
+window.AutoplayBot = AutoplayBot;
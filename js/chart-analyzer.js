@@ -0,0 +1,227 @@
+/**
+ * Chart Analyzer Module
+ * Rates how hard a chart is from its notes: notes-per-second curve, peak density,
+ * jack and trill strain and an overall star rating
+ *
+ * Strains work like a decaying "tiredness" meter: every note adds to it and it
+ * halves every STRAIN_HALF_LIFE seconds. Values are scaled so that a steady stream
+ * of n notes per second settles at roughly n. The song is cut into sections, the
+ * highest strain in each is kept, and the hardest sections count the most towards
+ * the rating.
+ */
+class ChartAnalyzer {
+    /**
+     * Analyze a beat list (song times, as from ChartFormat.toBeats); mines are not rated
+     * @returns {object} - { noteCount, duration, averageNps, peakNps, npsCurve: [{ time, nps }],
+     *                       densityStrain, jackStrain, trillStrain, stars }
+     */
+    static analyze(beats) {
+        const notes = beats.filter(beat => beat.type !== 'mine').sort((a, b) => a.time - b.time || a.lane - b.lane);
+
+        if (notes.length === 0) {
+            return {
+                noteCount: 0,
+                duration: 0,
+                averageNps: 0,
+                peakNps: 0,
+                npsCurve: [],
+                densityStrain: 0,
+                jackStrain: 0,
+                trillStrain: 0,
+                stars: 0
+            };
+        }
+
+        const first = notes[0].time;
+        const last = notes[notes.length - 1].time;
+        const duration = last - first;
+        const npsCurve = ChartAnalyzer.getNpsCurve(notes);
+
+        const densityStrain = ChartAnalyzer.rateSections(ChartAnalyzer.getStrainPeaks(notes, () => ChartAnalyzer.speedValue(1)));
+        const jackStrain = ChartAnalyzer.rateSections(ChartAnalyzer.getStrainPeaks(notes, ChartAnalyzer.getJackValues(notes)));
+        const trillStrain = ChartAnalyzer.rateSections(ChartAnalyzer.getStrainPeaks(notes, ChartAnalyzer.getTrillValues(notes)));
+
+        const combined = densityStrain + ChartAnalyzer.JACK_WEIGHT * jackStrain + ChartAnalyzer.TRILL_WEIGHT * trillStrain;
+        const stars = ChartAnalyzer.STAR_SCALE * Math.pow(combined, ChartAnalyzer.STAR_EXPONENT);
+
+        return {
+            noteCount: notes.length,
+            duration: ChartAnalyzer.round(duration),
+            averageNps: ChartAnalyzer.round(duration > 0 ? notes.length / duration : notes.length),
+            peakNps: ChartAnalyzer.round(Math.max(...npsCurve.map(point => point.nps))),
+            npsCurve: npsCurve,
+            densityStrain: ChartAnalyzer.round(densityStrain),
+            jackStrain: ChartAnalyzer.round(jackStrain),
+            trillStrain: ChartAnalyzer.round(trillStrain),
+            stars: ChartAnalyzer.round(stars)
+        };
+    }
+
+    /**
+     * Notes per second, sampled every NPS_STEP seconds over a window of NPS_WINDOW seconds
+     */
+    static getNpsCurve(notes) {
+        const curve = [];
+        const first = notes[0].time;
+        const last = notes[notes.length - 1].time;
+        const halfWindow = ChartAnalyzer.NPS_WINDOW / 2;
+
+        let start = 0;
+        let end = 0;
+        for (let time = first; time <= last + ChartAnalyzer.NPS_STEP / 2; time += ChartAnalyzer.NPS_STEP) {
+            while (end < notes.length && notes[end].time < time + halfWindow) end++;
+            while (start < end && notes[start].time < time - halfWindow) start++;
+            curve.push({
+                time: ChartAnalyzer.round(time),
+                nps: ChartAnalyzer.round((end - start) / ChartAnalyzer.NPS_WINDOW)
+            });
+        }
+
+        return curve;
+    }
+
+    /**
+     * How hard each note is as a jack: hitting the lane of the previous note again
+     * quickly is harder than moving to another lane
+     * @returns {number[]} - 0 unless it repeats the previous note's lane within JACK_WINDOW seconds
+     */
+    static getJackValues(notes) {
+        // Notes of a chord are hit together, so jacks compare chords (groups) rather than notes
+        let group = null;
+        let previousGroup = null;
+
+        return notes.map(note => {
+            if (!group || note.time - group.time >= ChartAnalyzer.CHORD_TOLERANCE) {
+                previousGroup = group;
+                group = { time: note.time, lanes: [] };
+            }
+            group.lanes.push(note.lane);
+            if (!previousGroup || !previousGroup.lanes.includes(note.lane)) return 0;
+
+            const gap = note.time - previousGroup.time;
+            return gap < ChartAnalyzer.JACK_WINDOW ? ChartAnalyzer.speedValue(ChartAnalyzer.JACK_WINDOW / gap - 1) : 0;
+        });
+    }
+
+    /**
+     * How hard each note is as part of a trill (A B A B between two lanes)
+     * @returns {number[]} - 0 unless the note returns to the lane two notes back within TRILL_WINDOW seconds
+     */
+    static getTrillValues(notes) {
+        // Chords are hit as one, so trills are measured on the first note of each chord
+        const rows = [];
+        for (const note of notes) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(note.time - row.time) < ChartAnalyzer.CHORD_TOLERANCE) {
+                row.lanes.push(note.lane);
+            } else {
+                rows.push({ time: note.time, lanes: [note.lane] });
+            }
+        }
+
+        const rowValues = rows.map((row, index) => {
+            if (index < 2) return 0;
+            const previous = rows[index - 1];
+            const before = rows[index - 2];
+            const gap = row.time - previous.time;
+            const alternates = before.lanes[0] === row.lanes[0] && previous.lanes[0] !== row.lanes[0];
+            return alternates && gap < ChartAnalyzer.TRILL_WINDOW
+                ? ChartAnalyzer.speedValue(ChartAnalyzer.TRILL_WINDOW / gap)
+                : 0;
+        });
+
+        // Spread each row's value over its notes
+        const values = [];
+        rows.forEach((row, index) => {
+            row.lanes.forEach((_, n) => values.push(n === 0 ? rowValues[index] : 0));
+        });
+        return values;
+    }
+
+    /**
+     * Scale a note's difficulty so a stream of n notes per second settles at n strain
+     */
+    static speedValue(value) {
+        return Math.min(ChartAnalyzer.MAX_SPEED, value) * Math.LN2 / ChartAnalyzer.STRAIN_HALF_LIFE;
+    }
+
+    /**
+     * Run a decaying strain over the notes and keep the highest strain of each section
+     * @param {Function|number[]} values - Strain added by each note (or a function of the note)
+     * @returns {number[]} - Peak strain per section
+     */
+    static getStrainPeaks(notes, values) {
+        const valueOf = typeof values === 'function' ? values : (note, index) => values[index];
+        const decay = (seconds) => Math.pow(0.5, seconds / ChartAnalyzer.STRAIN_HALF_LIFE);
+        const peaks = [];
+
+        let strain = 0;
+        let lastTime = notes[0].time;
+        let sectionEnd = notes[0].time + ChartAnalyzer.SECTION_LENGTH;
+        let peak = 0;
+
+        notes.forEach((note, index) => {
+            while (note.time >= sectionEnd) {
+                peaks.push(peak);
+                peak = strain * decay(sectionEnd - lastTime);
+                sectionEnd += ChartAnalyzer.SECTION_LENGTH;
+            }
+
+            strain = strain * decay(note.time - lastTime) + valueOf(note, index);
+            lastTime = note.time;
+            peak = Math.max(peak, strain);
+        });
+        peaks.push(peak);
+
+        return peaks;
+    }
+
+    /**
+     * Combine section peaks into one number, hardest sections first with decreasing weight
+     */
+    static rateSections(peaks) {
+        const sorted = peaks.slice().sort((a, b) => b - a);
+        let total = 0;
+        let weights = 0;
+        let weight = 1;
+
+        for (const peak of sorted) {
+            total += peak * weight;
+            weights += weight;
+            weight *= ChartAnalyzer.SECTION_DECAY;
+        }
+
+        return weights > 0 ? total / weights : 0;
+    }
+
+    /**
+     * Format a rating for display, e.g. "★ 3.42"
+     */
+    static formatStars(stars) {
+        return `★ ${stars.toFixed(2)}`;
+    }
+
+    /**
+     * Round to two decimals
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+ChartAnalyzer.NPS_WINDOW = 2;          // Seconds of notes averaged per NPS sample
+ChartAnalyzer.NPS_STEP = 1;            // Seconds between NPS samples
+ChartAnalyzer.STRAIN_HALF_LIFE = 1;    // Seconds for a strain to halve
+ChartAnalyzer.SECTION_LENGTH = 1;      // Seconds per strain section
+ChartAnalyzer.SECTION_DECAY = 0.9;     // Weight of each next-hardest section
+ChartAnalyzer.JACK_WINDOW = 0.5;       // Same-lane gaps shorter than this count as jacks
+ChartAnalyzer.TRILL_WINDOW = 0.25;     // Alternation gaps shorter than this count as trills
+ChartAnalyzer.CHORD_TOLERANCE = 0.005; // Notes closer than this are one chord
+ChartAnalyzer.MAX_SPEED = 4;           // Cap for jack/trill speed values
+ChartAnalyzer.JACK_WEIGHT = 0.5;
+ChartAnalyzer.TRILL_WEIGHT = 0.3;
+ChartAnalyzer.STAR_SCALE = 0.9;
+ChartAnalyzer.STAR_EXPONENT = 0.8;
+
+// Export as global
+window.ChartAnalyzer = ChartAnalyzer;
@@ -0,0 +1,960 @@
+/**
+ * Chart Editor Module
+ * Timeline editor for hand-authoring charts against a YouTube video
+ */
+class ChartEditor {
+    constructor(canvas, youtubePlayer, uiManager) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.youtubePlayer = youtubePlayer;
+        this.uiManager = uiManager;
+
+        // UI elements
+        this.elements = {
+            timeline: document.getElementById('editor-timeline'),
+            backBtn: document.getElementById('editor-back-btn'),
+            playBtn: document.getElementById('editor-play-btn'),
+            time: document.getElementById('editor-time'),
+            bpmInput: document.getElementById('editor-bpm'),
+            meterInput: document.getElementById('editor-meter'),
+            addTimingBtn: document.getElementById('editor-add-timing-btn'),
+            removeTimingBtn: document.getElementById('editor-remove-timing-btn'),
+            offsetInput: document.getElementById('editor-offset'),
+            snapSelect: document.getElementById('editor-snap'),
+            zoomInBtn: document.getElementById('editor-zoom-in-btn'),
+            zoomOutBtn: document.getElementById('editor-zoom-out-btn'),
+            undoBtn: document.getElementById('editor-undo-btn'),
+            redoBtn: document.getElementById('editor-redo-btn'),
+            testPlayBtn: document.getElementById('editor-test-btn'),
+            saveBtn: document.getElementById('editor-save-btn'),
+            status: document.getElementById('editor-status'),
+            laneKeys: document.getElementById('editor-lane-keys')
+        };
+
+        // Chart being edited (note times are song times, like GameEngine.upcomingBeats)
+        this.url = '';
+        this.videoId = null;
+        this.metadata = {};
+        this.notes = [];
+        this.tempoMap = new TempoMap(); // Timing points (BPM/meter sections) in song time
+        this.scrollVelocities = [];     // Scroll velocity sections in song time (kept from the loaded chart, not editable)
+        this.toolbarPointIndex = -1;    // Timing point shown in the toolbar
+
+        // Timeline view
+        this.cursorTime = 0;
+        this.pixelsPerSecond = 200;
+        this.minPixelsPerSecond = 50;
+        this.maxPixelsPerSecond = 800;
+        this.snapDivisor = 4;
+        this.laneWidth = 80;
+        this.rulerWidth = 70;
+        this.noteHeight = 14;
+        this.setKeyMode(KeyModes.DEFAULT_LANE_COUNT);
+
+        // Interaction state
+        this.isOpen = false;
+        this.isPlaying = false;
+        this.selectedNote = null;
+        this.dragState = null;
+
+        // Undo/redo stacks of chart snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndoSteps = 200;
+
+        // Callbacks
+        this.onTestPlay = null;
+        this.onSave = null;
+        this.onExit = null;
+
+        // Animation frame ID
+        this.animationFrameId = null;
+
+        // Bind methods
+        this.loop = this.loop.bind(this);
+        this.resize = this.resize.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize all event listeners
+     */
+    initEventListeners() {
+        this.elements.backBtn.addEventListener('click', () => this.exit());
+        this.elements.playBtn.addEventListener('click', () => this.togglePlayback());
+        this.elements.undoBtn.addEventListener('click', () => this.undo());
+        this.elements.redoBtn.addEventListener('click', () => this.redo());
+        this.elements.testPlayBtn.addEventListener('click', () => this.testPlay());
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+        this.elements.zoomInBtn.addEventListener('click', () => this.zoom(1.25));
+        this.elements.zoomOutBtn.addEventListener('click', () => this.zoom(0.8));
+
+        // BPM and meter edit the timing point of the section at the cursor
+        this.elements.bpmInput.addEventListener('change', () => {
+            const bpm = parseFloat(this.elements.bpmInput.value);
+            if (Number.isFinite(bpm) && bpm > 0) {
+                this.pushUndo();
+                this.tempoMap.pointAt(this.cursorTime).bpm = bpm;
+            }
+            this.updateToolbar();
+        });
+
+        this.elements.meterInput.addEventListener('change', () => {
+            const meter = parseInt(this.elements.meterInput.value);
+            if (Number.isInteger(meter) && meter >= 1 && meter <= ChartFormat.MAX_METER) {
+                this.pushUndo();
+                this.tempoMap.pointAt(this.cursorTime).meter = meter;
+            }
+            this.updateToolbar();
+        });
+
+        this.elements.addTimingBtn.addEventListener('click', () => this.addTimingPoint());
+        this.elements.removeTimingBtn.addEventListener('click', () => this.removeTimingPoint());
+
+        // Offset moves the first timing point (beat 0), which must stay before the second
+        this.elements.offsetInput.addEventListener('change', () => {
+            const offsetMs = parseFloat(this.elements.offsetInput.value);
+            const points = this.tempoMap.points;
+            if (Number.isFinite(offsetMs) && (points.length === 1 || offsetMs / 1000 < points[1].time)) {
+                this.pushUndo();
+                points[0].time = offsetMs / 1000;
+            }
+            this.updateToolbar();
+        });
+
+        this.elements.snapSelect.addEventListener('change', () => {
+            this.snapDivisor = parseInt(this.elements.snapSelect.value);
+        });
+
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', () => this.handleMouseUp());
+        this.canvas.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    }
+
+    /**
+     * Open the editor for a video, optionally starting from an existing chart
+     */
+    async open(url, chart = null, difficulty = 'medium', laneCount = KeyModes.DEFAULT_LANE_COUNT) {
+        this.url = url;
+        this.videoId = this.youtubePlayer.extractVideoId(url);
+
+        if (chart) {
+            this.loadChart(chart);
+        } else {
+            this.loadChart(ChartFormat.create({ videoId: this.videoId, difficulty: difficulty, laneCount: laneCount }));
+        }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.cursorTime = 0;
+
+        try {
+            this.uiManager.showScreen('loading');
+            this.uiManager.updateLoadingProgress(20, 'Initializing YouTube player...');
+            await this.youtubePlayer.init();
+            this.uiManager.updateLoadingProgress(60, 'Loading video...');
+            await this.youtubePlayer.loadVideo(url);
+            this.uiManager.updateLoadingProgress(100, 'Opening editor...');
+        } catch (error) {
+            console.error('Failed to open editor:', error);
+            this.uiManager.showScreen('start');
+            this.uiManager.showError(error.message || 'Failed to load video');
+            return;
+        }
+
+        this.show();
+        this.setStatus('Click a lane to place a note (drag up for a hold), drag to move, right-click to delete');
+    }
+
+    /**
+     * Show the editor screen and start the render loop
+     */
+    show() {
+        this.uiManager.showScreen('editor');
+        this.isOpen = true;
+        this.isPlaying = false;
+
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('resize', this.resize);
+        this.resize();
+        this.updateToolbar();
+
+        if (!this.animationFrameId) {
+            this.animationFrameId = requestAnimationFrame(this.loop);
+        }
+    }
+
+    /**
+     * Hide the editor and stop the render loop
+     */
+    hide() {
+        this.isOpen = false;
+        this.pausePlayback();
+
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('resize', this.resize);
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Return to the editor after a test play
+     */
+    returnFromTestPlay(stats = null) {
+        this.show();
+        this.youtubePlayer.seekTo(this.cursorTime);
+        this.youtubePlayer.pause();
+
+        if (stats) {
+            this.setStatus(`Test play finished: ${stats.accuracy}% accuracy, max combo ${stats.maxCombo}`);
+        }
+    }
+
+    /**
+     * Leave the editor
+     */
+    exit() {
+        this.hide();
+        if (this.onExit) this.onExit();
+    }
+
+    /**
+     * Load a chart into the editor
+     */
+    loadChart(chart) {
+        this.metadata = { ...chart.metadata };
+        this.videoId = chart.videoId || this.videoId;
+        this.tempoMap = TempoMap.fromChart(chart);
+        this.scrollVelocities = ChartFormat.toScrollVelocities(chart);
+        this.notes = ChartFormat.toBeats(chart);
+        this.selectedNote = null;
+        this.setKeyMode(chart.laneCount);
+    }
+
+    /**
+     * Set the lane count, lane colors and note placement keys
+     * Space stays play/pause, so the number keys 1-9 also place notes in lanes 1-9
+     */
+    setKeyMode(laneCount) {
+        const keyMode = KeyModes.get(laneCount);
+        this.laneCount = keyMode.laneCount;
+        this.laneColors = keyMode.colors;
+        this.keys = keyMode.keys;
+
+        if (this.elements.laneKeys) {
+            this.elements.laneKeys.textContent = this.keys
+                .map((key, lane) => `${KeyModes.getKeyLabel(key)}/${lane + 1}`)
+                .join(' ');
+        }
+    }
+
+    /**
+     * Build a chart from the editor state
+     */
+    getChart() {
+        return ChartFormat.create({
+            videoId: this.videoId,
+            difficulty: this.metadata.difficulty,
+            seed: this.metadata.seed,
+            laneCount: this.laneCount,
+            timingPoints: this.tempoMap.points,
+            scrollVelocities: this.scrollVelocities,
+            beats: this.notes,
+            metadata: { ...this.metadata, createdAt: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Resize canvas to fill the timeline area
+     */
+    resize() {
+        this.canvas.width = this.elements.timeline.clientWidth;
+        this.canvas.height = this.elements.timeline.clientHeight;
+    }
+
+    /**
+     * Editor loop: follow the video while playing and redraw
+     */
+    loop() {
+        if (!this.isOpen) return;
+
+        if (this.isPlaying) {
+            this.cursorTime = this.youtubePlayer.getCurrentTime();
+        }
+
+        this.elements.time.textContent = this.formatTime(this.cursorTime);
+        if (this.tempoMap.getPointIndex(this.cursorTime) !== this.toolbarPointIndex) {
+            this.updateToolbar();
+        }
+        this.render();
+
+        this.animationFrameId = requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Get the Y position of the cursor line (the "hit zone" of the timeline)
+     */
+    getCursorY() {
+        return this.canvas.height * 0.8;
+    }
+
+    /**
+     * Get the X position of the first lane
+     */
+    getLanesX() {
+        const totalWidth = this.rulerWidth + this.laneCount * this.laneWidth;
+        return (this.canvas.width - totalWidth) / 2 + this.rulerWidth;
+    }
+
+    /**
+     * Convert a song time to a canvas Y position (later times are higher up)
+     */
+    timeToY(time) {
+        return this.getCursorY() - (time - this.cursorTime) * this.pixelsPerSecond;
+    }
+
+    /**
+     * Convert a canvas Y position to a song time
+     */
+    yToTime(y) {
+        return this.cursorTime + (this.getCursorY() - y) / this.pixelsPerSecond;
+    }
+
+    /**
+     * Convert a canvas X position to a lane index, or -1 outside the lanes
+     */
+    xToLane(x) {
+        const lane = Math.floor((x - this.getLanesX()) / this.laneWidth);
+        return lane >= 0 && lane < this.laneCount ? lane : -1;
+    }
+
+    /**
+     * Get the length of one snap step in seconds at a song time
+     */
+    getSnapInterval(time = this.cursorTime) {
+        return this.tempoMap.getBeatInterval(time) / this.snapDivisor;
+    }
+
+    /**
+     * Snap a song time to the tempo map grid
+     */
+    snapTime(time) {
+        const snapped = this.tempoMap.snapTime(time, this.snapDivisor);
+        return Math.max(0, Math.round(snapped * 1000) / 1000);
+    }
+
+    /**
+     * Find the note under a canvas position
+     */
+    hitTestNote(x, y) {
+        const lane = this.xToLane(x);
+        if (lane === -1) return null;
+
+        let closest = null;
+        let closestDistance = this.noteHeight;
+
+        for (const note of this.notes) {
+            if (note.lane !== lane) continue;
+            const distance = Math.abs(this.timeToY(note.time) - y);
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closest = note;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Get mouse position relative to the canvas
+     */
+    getMousePosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    /**
+     * Handle mouse down: seek on the ruler, select/drag notes or place a new one
+     */
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+
+        const { x, y } = this.getMousePosition(event);
+
+        // Ruler: scrub the video
+        if (x < this.getLanesX() && x >= this.getLanesX() - this.rulerWidth) {
+            this.setCursorTime(this.yToTime(y));
+            this.dragState = { type: 'scrub' };
+            return;
+        }
+
+        const lane = this.xToLane(x);
+        if (lane === -1) {
+            this.selectedNote = null;
+            return;
+        }
+
+        const note = this.hitTestNote(x, y);
+        if (note) {
+            this.selectedNote = note;
+            this.dragState = {
+                type: 'move',
+                note: note,
+                snapshot: this.createSnapshot(),
+                moved: false
+            };
+            return;
+        }
+
+        // Place a new note; dragging up stretches it into a hold note
+        this.selectedNote = this.addNote(this.snapTime(this.yToTime(y)), lane);
+        this.dragState = { type: 'stretch', note: this.selectedNote };
+    }
+
+    /**
+     * Handle mouse move: drag notes or scrub
+     */
+    handleMouseMove(event) {
+        if (!this.dragState) return;
+
+        const { x, y } = this.getMousePosition(event);
+
+        if (this.dragState.type === 'scrub') {
+            this.setCursorTime(this.yToTime(y));
+            return;
+        }
+
+        const note = this.dragState.note;
+        const lane = this.xToLane(x);
+        const time = this.snapTime(this.yToTime(y));
+
+        if (this.dragState.type === 'stretch') {
+            const duration = Math.round((time - note.time) * 1000) / 1000;
+            note.type = duration > 0 ? 'hold' : 'tap';
+            note.duration = Math.max(0, duration);
+            return;
+        }
+
+        if ((lane !== -1 && lane !== note.lane) || time !== note.time) {
+            if (!this.dragState.moved) {
+                this.pushUndo(this.dragState.snapshot);
+                this.dragState.moved = true;
+            }
+            if (lane !== -1) note.lane = lane;
+            note.time = time;
+        }
+    }
+
+    /**
+     * Handle mouse up: finish dragging
+     */
+    handleMouseUp() {
+        if (this.dragState && this.dragState.moved) {
+            this.sortNotes();
+        }
+        this.dragState = null;
+    }
+
+    /**
+     * Handle right click: delete the note under the cursor
+     */
+    handleContextMenu(event) {
+        event.preventDefault();
+
+        const { x, y } = this.getMousePosition(event);
+        const note = this.hitTestNote(x, y);
+        if (note) {
+            this.deleteNote(note);
+        }
+    }
+
+    /**
+     * Handle mouse wheel: scroll the timeline (Ctrl + wheel zooms)
+     */
+    handleWheel(event) {
+        event.preventDefault();
+
+        if (event.ctrlKey) {
+            this.zoom(event.deltaY < 0 ? 1.1 : 0.9);
+            return;
+        }
+
+        const step = this.getSnapInterval() * (event.deltaY < 0 ? 1 : -1);
+        this.setCursorTime(this.snapTime(this.cursorTime + step));
+    }
+
+    /**
+     * Handle editor keyboard shortcuts
+     */
+    handleKeyDown(event) {
+        // Let form fields handle their own typing
+        const tag = event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        const key = event.key.toLowerCase();
+        const ctrl = event.ctrlKey || event.metaKey;
+
+        if (ctrl && key === 'z') {
+            event.preventDefault();
+            event.shiftKey ? this.redo() : this.undo();
+            return;
+        }
+
+        if (ctrl && key === 'y') {
+            event.preventDefault();
+            this.redo();
+            return;
+        }
+
+        if (ctrl && key === 's') {
+            event.preventDefault();
+            this.save();
+            return;
+        }
+
+        switch (key) {
+            case ' ':
+                event.preventDefault();
+                this.togglePlayback();
+                break;
+            case 'delete':
+            case 'backspace':
+                if (this.selectedNote) {
+                    event.preventDefault();
+                    this.deleteNote(this.selectedNote);
+                }
+                break;
+            case 'arrowup':
+                event.preventDefault();
+                this.setCursorTime(this.snapTime(this.cursorTime + this.getSnapInterval()));
+                break;
+            case 'arrowdown':
+                event.preventDefault();
+                this.setCursorTime(this.snapTime(this.cursorTime - this.getSnapInterval()));
+                break;
+            case 't':
+                this.testPlay();
+                break;
+            case 'm':
+                if (this.selectedNote) {
+                    this.toggleMine(this.selectedNote);
+                }
+                break;
+            case 'escape':
+                this.exit();
+                break;
+            default: {
+                // Lane keys and number keys place a note at the cursor (works while the video plays)
+                const number = parseInt(key, 10);
+                const lane = number >= 1 && number <= this.laneCount ? number - 1 : this.keys.indexOf(key);
+                if (lane !== -1 && !event.repeat) {
+                    this.selectedNote = this.addNote(this.snapTime(this.cursorTime), lane);
+                }
+            }
+        }
+    }
+
+    /**
+     * Add a note, replacing any note already in the same lane and snap slot
+     */
+    addNote(time, lane) {
+        this.pushUndo();
+
+        const tolerance = this.getSnapInterval(time) / 2;
+        this.notes = this.notes.filter(note => note.lane !== lane || Math.abs(note.time - time) >= tolerance);
+
+        const note = { time: time, lane: lane, type: 'tap', intensity: 1 };
+        this.notes.push(note);
+        this.sortNotes();
+
+        return note;
+    }
+
+    /**
+     * Turn a note into a mine, or a mine back into a tap note
+     */
+    toggleMine(note) {
+        this.pushUndo();
+        note.type = note.type === 'mine' ? 'tap' : 'mine';
+        delete note.duration;
+    }
+
+    /**
+     * Delete a note
+     */
+    deleteNote(note) {
+        this.pushUndo();
+        this.notes = this.notes.filter(n => n !== note);
+        if (this.selectedNote === note) {
+            this.selectedNote = null;
+        }
+    }
+
+    /**
+     * Start a new timing section at the cursor, continuing the current BPM and meter
+     */
+    addTimingPoint() {
+        const time = this.snapTime(this.cursorTime);
+        const current = this.tempoMap.pointAt(time);
+        if (time <= this.tempoMap.points[0].time) {
+            this.setStatus('Timing points must come after the first one (use Offset to move it)');
+            return;
+        }
+
+        this.pushUndo();
+        this.tempoMap.addPoint(time, current.bpm, current.meter);
+        this.updateToolbar();
+        this.setStatus(`Timing point added at ${this.formatTime(time)}; edit BPM/Meter to change this section`);
+    }
+
+    /**
+     * Remove the timing point of the section at the cursor
+     */
+    removeTimingPoint() {
+        const point = this.tempoMap.pointAt(this.cursorTime);
+        if (point === this.tempoMap.points[0]) return;
+
+        this.pushUndo();
+        this.tempoMap.removePoint(point);
+        this.updateToolbar();
+    }
+
+    /**
+     * Keep notes sorted by time
+     */
+    sortNotes() {
+        this.notes.sort((a, b) => a.time - b.time || a.lane - b.lane);
+    }
+
+    /**
+     * Capture the editable chart state
+     */
+    createSnapshot() {
+        return {
+            notes: this.notes.map(note => ({ ...note })),
+            timingPoints: this.tempoMap.clonePoints()
+        };
+    }
+
+    /**
+     * Restore a captured chart state
+     */
+    restoreSnapshot(snapshot) {
+        this.notes = snapshot.notes.map(note => ({ ...note }));
+        this.tempoMap = new TempoMap(snapshot.timingPoints);
+        this.selectedNote = null;
+        this.updateToolbar();
+    }
+
+    /**
+     * Record the current state before an edit
+     */
+    pushUndo(snapshot = this.createSnapshot()) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.maxUndoSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateToolbar();
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.undoStack.pop());
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.redoStack.pop());
+    }
+
+    /**
+     * Move the cursor and scrub the video to it
+     */
+    setCursorTime(time) {
+        const duration = this.youtubePlayer.getDuration() || Infinity;
+        this.cursorTime = Math.max(0, Math.min(duration, time));
+        this.youtubePlayer.seekTo(this.cursorTime, true);
+    }
+
+    /**
+     * Change the timeline zoom
+     */
+    zoom(factor) {
+        this.pixelsPerSecond = Math.max(
+            this.minPixelsPerSecond,
+            Math.min(this.maxPixelsPerSecond, this.pixelsPerSecond * factor)
+        );
+    }
+
+    /**
+     * Play or pause the video
+     */
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.pausePlayback();
+        } else {
+            this.youtubePlayer.seekTo(this.cursorTime, true);
+            this.youtubePlayer.play();
+            this.isPlaying = true;
+        }
+        this.updateToolbar();
+    }
+
+    /**
+     * Pause the video
+     */
+    pausePlayback() {
+        if (!this.isPlaying) return;
+        this.youtubePlayer.pause();
+        this.isPlaying = false;
+        this.updateToolbar();
+    }
+
+    /**
+     * Test-play the chart from the cursor
+     */
+    testPlay() {
+        this.hide();
+        if (this.onTestPlay) {
+            this.onTestPlay(this.getChart(), this.cursorTime);
+        }
+    }
+
+    /**
+     * Save the chart (exported through the chart file format)
+     */
+    save() {
+        const chart = this.getChart();
+        if (this.onSave) this.onSave(chart);
+        this.setStatus(`Saved ${chart.notes.length} notes`);
+    }
+
+    /**
+     * Sync toolbar controls with editor state
+     */
+    updateToolbar() {
+        this.elements.playBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+        const pointIndex = this.tempoMap.getPointIndex(this.cursorTime);
+        const point = this.tempoMap.points[pointIndex];
+        this.toolbarPointIndex = pointIndex;
+        this.elements.bpmInput.value = point.bpm;
+        this.elements.meterInput.value = point.meter;
+        this.elements.offsetInput.value = Math.round(this.tempoMap.points[0].time * 1000);
+        this.elements.removeTimingBtn.disabled = pointIndex === 0;
+        this.elements.snapSelect.value = this.snapDivisor;
+        this.elements.undoBtn.disabled = this.undoStack.length === 0;
+        this.elements.redoBtn.disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Show a status message below the timeline
+     */
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+
+    /**
+     * Render the timeline
+     */
+    render() {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.renderLanes();
+        this.renderGrid();
+        this.renderNotes();
+        this.renderCursor();
+    }
+
+    /**
+     * Render lane backgrounds
+     */
+    renderLanes() {
+        const ctx = this.ctx;
+        const lanesX = this.getLanesX();
+
+        for (let i = 0; i < this.laneCount; i++) {
+            const x = lanesX + i * this.laneWidth;
+            ctx.fillStyle = 'rgba(30, 30, 50, 0.6)';
+            ctx.fillRect(x, 0, this.laneWidth, this.canvas.height);
+            ctx.strokeStyle = 'rgba(100, 100, 150, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, 0, this.laneWidth, this.canvas.height);
+        }
+
+        // Ruler background
+        ctx.fillStyle = 'rgba(22, 33, 62, 0.8)';
+        ctx.fillRect(lanesX - this.rulerWidth, 0, this.rulerWidth, this.canvas.height);
+    }
+
+    /**
+     * Render beat, measure and snap lines with time labels
+     */
+    renderGrid() {
+        const ctx = this.ctx;
+        const lanesX = this.getLanesX();
+        const lanesWidth = this.laneCount * this.laneWidth;
+
+        const startTime = this.yToTime(this.canvas.height);
+        const endTime = this.yToTime(0);
+
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        for (const line of this.tempoMap.getGridLines(startTime, endTime, this.snapDivisor)) {
+            if (line.time < 0) continue;
+
+            const y = this.timeToY(line.time);
+
+            if (line.isMeasure) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.lineWidth = 2;
+            } else if (line.isBeat) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                ctx.lineWidth = 1;
+            } else {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+                ctx.lineWidth = 1;
+            }
+
+            ctx.beginPath();
+            ctx.moveTo(lanesX, y);
+            ctx.lineTo(lanesX + lanesWidth, y);
+            ctx.stroke();
+
+            if (line.isBeat) {
+                ctx.fillStyle = line.isMeasure ? 'rgba(255, 255, 255, 0.8)' : 'rgba(255, 255, 255, 0.4)';
+                ctx.fillText(this.formatTime(line.time), lanesX - 6, y);
+            }
+        }
+
+        // Timing points
+        ctx.textAlign = 'left';
+        for (const point of this.tempoMap.points) {
+            if (point.time < startTime || point.time > endTime) continue;
+
+            const y = this.timeToY(point.time);
+            ctx.strokeStyle = '#fdcb6e';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(lanesX, y);
+            ctx.lineTo(lanesX + lanesWidth + 8, y);
+            ctx.stroke();
+
+            ctx.fillStyle = '#fdcb6e';
+            ctx.fillText(`${point.bpm} BPM ${point.meter}/4`, lanesX + lanesWidth + 12, y);
+        }
+    }
+
+    /**
+     * Render the chart notes
+     */
+    renderNotes() {
+        const ctx = this.ctx;
+        const lanesX = this.getLanesX();
+
+        for (const note of this.notes) {
+            const y = this.timeToY(note.time);
+            const endY = this.timeToY(note.time + (note.type === 'hold' ? note.duration : 0));
+            if (y < -this.noteHeight || endY > this.canvas.height + this.noteHeight) continue;
+
+            const x = lanesX + note.lane * this.laneWidth + 8;
+            const width = this.laneWidth - 16;
+
+            // Mines are drawn as a red-ringed dark ball
+            if (note.type === 'mine') {
+                ctx.fillStyle = '#2d3436';
+                ctx.strokeStyle = note === this.selectedNote ? '#ffffff' : Note.MINE_COLOR;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(x + width / 2, y, this.noteHeight * 0.6, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                continue;
+            }
+
+            ctx.fillStyle = this.laneColors[note.lane] || '#ffffff';
+
+            // Hold tail up to the end time
+            if (note.type === 'hold') {
+                ctx.globalAlpha = 0.5;
+                ctx.fillRect(x + width * 0.2, endY, width * 0.6, y - endY);
+                ctx.globalAlpha = 1;
+            }
+
+            ctx.beginPath();
+            ctx.roundRect(x, y - this.noteHeight / 2, width, this.noteHeight, 6);
+            ctx.fill();
+
+            if (note === this.selectedNote) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * Render the playback cursor
+     */
+    renderCursor() {
+        const ctx = this.ctx;
+        const y = this.getCursorY();
+
+        ctx.strokeStyle = '#fd79a8';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.getLanesX() - this.rulerWidth, y);
+        ctx.lineTo(this.getLanesX() + this.laneCount * this.laneWidth, y);
+        ctx.stroke();
+    }
+
+    /**
+     * Format time as M:SS.mmm
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds - mins * 60;
+        return `${mins}:${secs.toFixed(3).padStart(6, '0')}`;
+    }
+
+    /**
+     * Set callbacks
+     */
+    setCallbacks(callbacks) {
+        if (callbacks.onTestPlay) this.onTestPlay = callbacks.onTestPlay;
+        if (callbacks.onSave) this.onSave = callbacks.onSave;
+        if (callbacks.onExit) this.onExit = callbacks.onExit;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.hide();
+    }
+}
+
+// Export as global
+window.ChartEditor = ChartEditor;
@@ -0,0 +1,408 @@
+/**
+ * Chart Format Module
+ * Versioned JSON chart schema with validation, import and export
+ *
+ * Schema (version 2):
+ * {
+ *   "format": "youtube-rhythm-game-chart",
+ *   "version": 2,
+ *   "metadata": { "title", "artist", "creator", "difficulty", "seed", "createdAt" },
+ *   "videoId": "dQw4w9WgXcQ",   // YouTube video ID or null
+ *   "offset": 0,                // Seconds added to every note time (song time of beat 0)
+ *   "bpm": 120,                 // BPM of the first timing point
+ *   "laneCount": 4,             // Key mode (4-8 lanes, see KeyModes); optional, defaults to 4
+ *   "timingPoints": [           // Times relative to offset; the first is always at 0
+ *     { "time": 0, "bpm": 120, "meter": 4 },
+ *     { "time": 60.0, "bpm": 140, "meter": 3 }
+ *   ],
+ *   "scrollVelocities": [       // Optional scroll speed sections, times relative to offset;
+ *     { "time": 30.0, "speed": 0.5 },   // each lasts until the next (1x before the first)
+ *     { "time": 34.0, "speed": 1 }
+ *   ],
+ *   "notes": [
+ *     { "time": 2.0, "lane": 0, "type": "tap", "intensity": 1 },
+ *     { "time": 2.5, "lane": 1, "type": "hold", "duration": 1.0, "intensity": 1 },
+ *     { "time": 3.0, "lane": 2, "type": "mine", "intensity": 1 }      // Must not be pressed
+ *   ]
+ * }
+ *
+ * Version 1 charts have no timingPoints; they are migrated to a single timing point on import.
+ */
+class ChartFormat {
+    /**
+     * Create a chart from generated or loaded beats
+     * timingPoints (song time, e.g. TempoMap.points) take precedence over bpm/offset;
+     * the first timing point becomes the chart's offset
+     */
+    static create({ videoId = null, difficulty = 'medium', seed = '', bpm = 120, offset = 0, timingPoints = null, scrollVelocities = [], laneCount = KeyModes.DEFAULT_LANE_COUNT, beats = [], metadata = {} }) {
+        const points = timingPoints && timingPoints.length > 0 ? timingPoints : [{ time: offset, bpm: bpm, meter: 4 }];
+        const chartOffset = points[0].time;
+
+        const chart = {
+            format: ChartFormat.FORMAT_ID,
+            version: ChartFormat.VERSION,
+            metadata: {
+                title: '',
+                artist: '',
+                creator: '',
+                difficulty: difficulty,
+                seed: seed,
+                createdAt: new Date().toISOString(),
+                ...metadata
+            },
+            videoId: videoId,
+            offset: chartOffset,
+            bpm: points[0].bpm,
+            laneCount: laneCount,
+            timingPoints: points.map(point => ({
+                time: Math.round((point.time - chartOffset) * 1000) / 1000,
+                bpm: point.bpm,
+                meter: point.meter || 4
+            })),
+            notes: beats.map(beat => ChartFormat.beatToNote(beat, chartOffset))
+        };
+
+        // Only charts with scroll changes carry the list (so other charts keep their hash)
+        if (scrollVelocities && scrollVelocities.length > 0) {
+            chart.scrollVelocities = scrollVelocities.map(section => ({
+                time: Math.round((section.time - chartOffset) * 1000) / 1000,
+                speed: section.speed
+            }));
+        }
+        return chart;
+    }
+
+    /**
+     * Convert an in-game beat (song time) to a chart note (time relative to offset)
+     */
+    static beatToNote(beat, offset = 0) {
+        const note = {
+            time: Math.round((beat.time - offset) * 1000) / 1000,
+            lane: beat.lane,
+            type: beat.type || 'tap'
+        };
+
+        if (note.type === 'hold') {
+            note.duration = Math.round(beat.duration * 1000) / 1000;
+        }
+
+        note.intensity = beat.intensity !== undefined ? beat.intensity : 1;
+        return note;
+    }
+
+    /**
+     * Convert a chart to the beat list used by GameEngine (offset applied, sorted by time)
+     */
+    static toBeats(chart) {
+        const offset = chart.offset || 0;
+
+        return chart.notes
+            .map(note => ({
+                time: note.time + offset,
+                lane: note.lane,
+                type: note.type || 'tap',
+                duration: note.type === 'hold' ? note.duration : 0,
+                intensity: note.intensity !== undefined ? note.intensity : 1
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Convert a chart's timing points to song time (for TempoMap)
+     */
+    static toTimingPoints(chart) {
+        const offset = chart.offset || 0;
+        const points = chart.timingPoints || [{ time: 0, bpm: chart.bpm, meter: 4 }];
+
+        return points.map(point => ({
+            time: point.time + offset,
+            bpm: point.bpm,
+            meter: point.meter || 4
+        }));
+    }
+
+    /**
+     * Convert a chart's scroll velocity sections to song time (for ScrollMap)
+     */
+    static toScrollVelocities(chart) {
+        const offset = chart.offset || 0;
+
+        return (chart.scrollVelocities || []).map(section => ({
+            time: section.time + offset,
+            speed: section.speed
+        }));
+    }
+
+    /**
+     * Upgrade a validated chart from an older version to the current one
+     */
+    static migrate(data) {
+        if (data.version < 2) {
+            data.timingPoints = [{ time: 0, bpm: data.bpm, meter: 4 }];
+        }
+        if (data.laneCount === undefined) {
+            data.laneCount = KeyModes.DEFAULT_LANE_COUNT;
+        }
+
+        data.version = ChartFormat.VERSION;
+        return data;
+    }
+
+    /**
+     * Validate a parsed chart object
+     * @returns {string[]} - List of errors, empty if the chart is valid
+     */
+    static validate(data) {
+        const errors = [];
+
+        if (!ChartFormat.isObject(data)) {
+            errors.push('chart: expected a JSON object');
+            return errors;
+        }
+
+        if (data.format !== ChartFormat.FORMAT_ID) {
+            errors.push(`format: expected "${ChartFormat.FORMAT_ID}", got ${JSON.stringify(data.format)}`);
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push(`version: expected a positive integer, got ${JSON.stringify(data.version)}`);
+        } else if (data.version > ChartFormat.VERSION) {
+            errors.push(`version: chart version ${data.version} is newer than supported version ${ChartFormat.VERSION}`);
+        }
+
+        if (!ChartFormat.isObject(data.metadata)) {
+            errors.push('metadata: expected an object');
+        } else {
+            for (const field of ['title', 'artist', 'creator', 'difficulty', 'seed', 'createdAt']) {
+                const value = data.metadata[field];
+                if (value !== undefined && typeof value !== 'string') {
+                    errors.push(`metadata.${field}: expected a string, got ${JSON.stringify(value)}`);
+                }
+            }
+        }
+
+        if (data.videoId !== null && typeof data.videoId !== 'string') {
+            errors.push(`videoId: expected a string or null, got ${JSON.stringify(data.videoId)}`);
+        }
+
+        if (!Number.isFinite(data.offset)) {
+            errors.push(`offset: expected a number of seconds, got ${JSON.stringify(data.offset)}`);
+        }
+
+        if (!Number.isFinite(data.bpm) || data.bpm <= 0) {
+            errors.push(`bpm: expected a positive number, got ${JSON.stringify(data.bpm)}`);
+        }
+
+        if (data.version >= 2 || data.timingPoints !== undefined) {
+            const timingErrors = ChartFormat.validateTimingPoints(data.timingPoints);
+            errors.push(...timingErrors);
+
+            // bpm repeats the first timing point's BPM, so the two must agree
+            if (timingErrors.length === 0 && Number.isFinite(data.bpm) && data.bpm !== data.timingPoints[0].bpm) {
+                errors.push(`bpm: expected ${data.timingPoints[0].bpm} (the first timing point's BPM), got ${data.bpm}`);
+            }
+        }
+
+        if (data.scrollVelocities !== undefined) {
+            errors.push(...ChartFormat.validateScrollVelocities(data.scrollVelocities));
+        }
+
+        let laneCount = KeyModes.DEFAULT_LANE_COUNT;
+        if (data.laneCount !== undefined) {
+            if (KeyModes.isSupported(data.laneCount)) {
+                laneCount = data.laneCount;
+            } else {
+                errors.push(`laneCount: expected one of ${KeyModes.LANE_COUNTS.join(', ')}, got ${JSON.stringify(data.laneCount)}`);
+            }
+        }
+
+        if (!Array.isArray(data.notes)) {
+            errors.push('notes: expected an array');
+        } else {
+            data.notes.forEach((note, index) => {
+                const path = `notes[${index}]`;
+                const noteErrors = ChartFormat.validateNote(note, path, laneCount);
+                errors.push(...noteErrors);
+
+                if (noteErrors.length === 0 && Number.isFinite(data.offset) && note.time + data.offset < 0) {
+                    errors.push(`${path}.time: note at ${note.time}s plus offset ${data.offset}s is before the start of the song`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the timing points list
+     */
+    static validateTimingPoints(points) {
+        const errors = [];
+
+        if (!Array.isArray(points) || points.length === 0) {
+            errors.push('timingPoints: expected a non-empty array');
+            return errors;
+        }
+
+        points.forEach((point, index) => {
+            const path = `timingPoints[${index}]`;
+
+            if (!ChartFormat.isObject(point)) {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+
+            if (!Number.isFinite(point.time)) {
+                errors.push(`${path}.time: expected a number of seconds, got ${JSON.stringify(point.time)}`);
+            } else if (index === 0 && point.time !== 0) {
+                errors.push(`${path}.time: the first timing point must be at 0 (use offset to move it), got ${point.time}`);
+            } else if (index > 0 && ChartFormat.isObject(points[index - 1]) && !(point.time > points[index - 1].time)) {
+                errors.push(`${path}.time: timing points must be in increasing time order, got ${point.time}`);
+            }
+
+            if (!Number.isFinite(point.bpm) || point.bpm <= 0) {
+                errors.push(`${path}.bpm: expected a positive number, got ${JSON.stringify(point.bpm)}`);
+            }
+
+            if (!Number.isInteger(point.meter) || point.meter < 1 || point.meter > ChartFormat.MAX_METER) {
+                errors.push(`${path}.meter: expected an integer from 1 to ${ChartFormat.MAX_METER}, got ${JSON.stringify(point.meter)}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate the scroll velocity sections list
+     */
+    static validateScrollVelocities(sections) {
+        const errors = [];
+
+        if (!Array.isArray(sections)) {
+            errors.push('scrollVelocities: expected an array');
+            return errors;
+        }
+
+        sections.forEach((section, index) => {
+            const path = `scrollVelocities[${index}]`;
+
+            if (!ChartFormat.isObject(section)) {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+
+            if (!Number.isFinite(section.time)) {
+                errors.push(`${path}.time: expected a number of seconds, got ${JSON.stringify(section.time)}`);
+            } else if (index > 0 && ChartFormat.isObject(sections[index - 1]) && !(section.time > sections[index - 1].time)) {
+                errors.push(`${path}.time: scroll velocities must be in increasing time order, got ${section.time}`);
+            }
+
+            // Negative speeds would scroll notes back up, which can't be played
+            if (!Number.isFinite(section.speed) || section.speed < 0 || section.speed > ChartFormat.MAX_SCROLL_VELOCITY) {
+                errors.push(`${path}.speed: expected a number from 0 to ${ChartFormat.MAX_SCROLL_VELOCITY}, got ${JSON.stringify(section.speed)}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single note
+     */
+    static validateNote(note, path, laneCount = KeyModes.DEFAULT_LANE_COUNT) {
+        const errors = [];
+
+        if (!ChartFormat.isObject(note)) {
+            errors.push(`${path}: expected an object`);
+            return errors;
+        }
+
+        if (!Number.isFinite(note.time)) {
+            errors.push(`${path}.time: expected a number of seconds, got ${JSON.stringify(note.time)}`);
+        }
+
+        if (!Number.isInteger(note.lane) || note.lane < 0 || note.lane >= laneCount) {
+            errors.push(`${path}.lane: expected an integer from 0 to ${laneCount - 1}, got ${JSON.stringify(note.lane)}`);
+        }
+
+        if (note.type !== undefined && !ChartFormat.NOTE_TYPES.includes(note.type)) {
+            errors.push(`${path}.type: expected one of ${ChartFormat.NOTE_TYPES.join(', ')}, got ${JSON.stringify(note.type)}`);
+        }
+
+        if (note.type === 'hold' && (!Number.isFinite(note.duration) || note.duration <= 0)) {
+            errors.push(`${path}.duration: expected a positive number of seconds for a hold note, got ${JSON.stringify(note.duration)}`);
+        }
+
+        if (note.intensity !== undefined && (!Number.isFinite(note.intensity) || note.intensity < 0)) {
+            errors.push(`${path}.intensity: expected a non-negative number, got ${JSON.stringify(note.intensity)}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate chart JSON text
+     * @throws {Error} - With a list of validation errors in error.details
+     */
+    static parse(text) {
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid chart file: ${error.message}`);
+        }
+
+        const errors = ChartFormat.validate(data);
+        if (errors.length > 0) {
+            throw ChartFormat.createError('Invalid chart file', errors);
+        }
+
+        data.notes.sort((a, b) => a.time - b.time);
+        return ChartFormat.migrate(data);
+    }
+
+    /**
+     * Build an error listing the first few problems, with all of them in error.details
+     */
+    static createError(title, errors) {
+        const shown = errors.slice(0, 5).join('; ');
+        const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+        const error = new Error(`${title}: ${shown}${more}`);
+        error.details = errors;
+        return error;
+    }
+
+    /**
+     * Serialize a chart to JSON text
+     */
+    static serialize(chart) {
+        return JSON.stringify(chart, null, 2);
+    }
+
+    /**
+     * Build a file name for exporting a chart
+     */
+    static getFileName(chart, extension = '.chart.json') {
+        const base = chart.metadata.title || chart.videoId || 'chart';
+        const safeBase = base.replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'chart';
+        const keyMode = chart.laneCount && chart.laneCount !== KeyModes.DEFAULT_LANE_COUNT ? `-${chart.laneCount}k` : '';
+        return `${safeBase}-${chart.metadata.difficulty || 'custom'}${keyMode}${extension}`;
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+ChartFormat.FORMAT_ID = 'youtube-rhythm-game-chart';
+ChartFormat.VERSION = 2;
+ChartFormat.MAX_METER = 16;
+ChartFormat.MAX_SCROLL_VELOCITY = 10;
+ChartFormat.NOTE_TYPES = ['tap', 'hold', 'mine'];
+
+// Export as global
+window.ChartFormat = ChartFormat;
@@ -0,0 +1,188 @@
+/**
+ * Chart Store Module
+ * Keeps every played or imported chart in IndexedDB, keyed by video ID, difficulty and
+ * a hash of the chart's notes and timing, with the best score reached on each
+ */
+class ChartStore {
+    constructor() {
+        this.dbName = 'rhythmGameCharts';
+        this.storeName = 'charts';
+        this.maxCharts = 200;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, ChartStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('videoId', 'videoId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the chart store in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - Called with the object store, returns an IDBRequest (or nothing)
+     * @returns {Promise} - The request's result once the transaction completes
+     */
+    async run(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a chart (or mark an already stored one as just played)
+     * @param {object} rating - Optional ChartAnalyzer rating to show in the chart browser
+     * @returns {Promise<object>} - The stored record
+     */
+    async saveChart(chart, rating = null) {
+        const id = ChartStore.getChartId(chart);
+        const existing = await this.getChart(id);
+        const notes = chart.notes.filter(note => note.type !== 'mine');
+
+        const record = {
+            bestScore: null,
+            bestRate: null,
+            bestModifiers: null,
+            bestAccuracy: null,
+            playCount: 0,
+            savedAt: Date.now(),
+            ...existing,
+            id: id,
+            videoId: chart.videoId || null,
+            difficulty: chart.metadata.difficulty || '',
+            laneCount: chart.laneCount || KeyModes.DEFAULT_LANE_COUNT,
+            noteCount: notes.length,
+            stars: rating ? rating.stars : (existing ? existing.stars : null),
+            chart: chart,
+            lastUsed: Date.now()
+        };
+
+        await this.run('readwrite', store => store.put(record));
+        await this.prune();
+        return record;
+    }
+
+    /**
+     * Get a stored chart record
+     * @returns {Promise<object|null>}
+     */
+    async getChart(id) {
+        const record = await this.run('readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * List stored charts, most recently used first
+     * @param {string|null} videoId - Only list charts for this video
+     * @returns {Promise<object[]>}
+     */
+    async listCharts(videoId = null) {
+        const records = await this.run('readonly', store =>
+            videoId ? store.index('videoId').getAll(videoId) : store.getAll()
+        );
+        return records.sort((a, b) => b.lastUsed - a.lastUsed);
+    }
+
+    /**
+     * Find a stored chart by its hash (see hashChart), e.g. the chart a replay was recorded on
+     * @returns {Promise<object|null>}
+     */
+    async findChartByHash(hash) {
+        const records = await this.listCharts();
+        return records.find(record => record.id.endsWith(`:${hash}`)) || null;
+    }
+
+    /**
+     * Delete a stored chart
+     */
+    async removeChart(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Record a finished play of a stored chart
+     * @param {object} stats - ScoringSystem stats with the playback rate and modifiers ({ ..., rate, modifiers })
+     * @returns {Promise<object|null>} - The updated record
+     */
+    async recordScore(id, stats) {
+        const record = await this.getChart(id);
+        if (!record) return null;
+
+        record.playCount++;
+        if (record.bestScore === null || stats.score > record.bestScore) {
+            record.bestScore = stats.score;
+            record.bestRate = stats.rate || 1;
+            record.bestModifiers = stats.modifiers || null;
+        }
+        if (record.bestAccuracy === null || stats.accuracy > record.bestAccuracy) {
+            record.bestAccuracy = stats.accuracy;
+        }
+
+        await this.run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Delete the least recently used charts beyond maxCharts
+     */
+    async prune() {
+        const records = await this.listCharts();
+        const stale = records.slice(this.maxCharts);
+        if (stale.length === 0) return;
+
+        await this.run('readwrite', store => {
+            stale.forEach(record => store.delete(record.id));
+        });
+    }
+
+    /**
+     * Get the key a chart is stored under: video ID + difficulty + chart hash
+     * Charts without a video (local files, imported beatmaps) use "file" as the video ID
+     */
+    static getChartId(chart) {
+        return `${chart.videoId || 'file'}:${chart.metadata.difficulty || ''}:${ChartStore.hashChart(chart)}`;
+    }
+
+    /**
+     * Hash what is played (lanes, timing and notes), ignoring metadata such as createdAt
+     */
+    static hashChart(chart) {
+        const content = JSON.stringify({
+            laneCount: chart.laneCount || KeyModes.DEFAULT_LANE_COUNT,
+            offset: chart.offset,
+            timingPoints: chart.timingPoints,
+            scrollVelocities: chart.scrollVelocities, // Left out of the hash when missing
+            notes: chart.notes
+        });
+        return SeededRandom.formatSeed(SeededRandom.hashString(content));
+    }
+}
+
+ChartStore.DB_VERSION = 1;
+
+// Export as global
+window.ChartStore = ChartStore;
@@ -0,0 +1,176 @@
+/**
+ * Difficulty Profiles Module
+ * User-defined difficulties (BPM range, note density, subdivisions, chords, mines,
+ * same-lane gap and health drain) stored in localStorage and turned into chart generator settings
+ */
+class DifficultyProfiles {
+    constructor() {
+        this.storageKey = 'rhythmGameDifficultyProfiles';
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Load profiles from localStorage
+     */
+    loadProfiles() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            return data ? JSON.parse(data).map(profile => DifficultyProfiles.sanitize(profile)) : [];
+        } catch (error) {
+            console.error('Failed to load difficulty profiles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save profiles to localStorage
+     */
+    saveProfiles() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.error('Failed to save difficulty profiles:', error);
+        }
+    }
+
+    /**
+     * Get all profiles, oldest first
+     */
+    getProfiles() {
+        return this.profiles;
+    }
+
+    /**
+     * Get a profile by ID
+     */
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Create or update a profile (profiles without an ID get a new one)
+     * @returns {object} - The stored profile
+     */
+    saveProfile(profile) {
+        const stored = DifficultyProfiles.sanitize(profile);
+        const index = this.profiles.findIndex(existing => existing.id === stored.id);
+
+        if (index !== -1) {
+            this.profiles[index] = stored;
+        } else {
+            if (this.profiles.length >= DifficultyProfiles.MAX_PROFILES) {
+                throw new Error(`You can keep up to ${DifficultyProfiles.MAX_PROFILES} custom difficulties. Delete one first.`);
+            }
+            stored.id = DifficultyProfiles.createId();
+            this.profiles.push(stored);
+        }
+
+        this.saveProfiles();
+        return stored;
+    }
+
+    /**
+     * Delete a profile
+     */
+    removeProfile(id) {
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.saveProfiles();
+    }
+
+    /**
+     * Check whether a difficulty name refers to a custom profile
+     */
+    static isCustom(difficulty) {
+        return typeof difficulty === 'string' && difficulty.startsWith(DifficultyProfiles.ID_PREFIX);
+    }
+
+    /**
+     * Create a new profile ID (doubles as the difficulty name in charts, seeds and history)
+     */
+    static createId() {
+        return `${DifficultyProfiles.ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Fill in missing fields and clamp values to their limits
+     * 8th and 16th note rates are scaled down together if they add up to more than 100%
+     */
+    static sanitize(profile) {
+        const result = { ...DifficultyProfiles.DEFAULT_PROFILE, ...profile };
+
+        for (const [field, [min, max]] of Object.entries(DifficultyProfiles.LIMITS)) {
+            const value = Number(result[field]);
+            result[field] = Number.isFinite(value)
+                ? Math.max(min, Math.min(max, value))
+                : DifficultyProfiles.DEFAULT_PROFILE[field];
+        }
+
+        if (result.bpmMin > result.bpmMax) {
+            [result.bpmMin, result.bpmMax] = [result.bpmMax, result.bpmMin];
+        }
+
+        const subdivisions = result.eighthRate + result.sixteenthRate;
+        if (subdivisions > 1) {
+            result.eighthRate /= subdivisions;
+            result.sixteenthRate /= subdivisions;
+        }
+
+        result.name = String(result.name || '').trim().slice(0, DifficultyProfiles.MAX_NAME_LENGTH) ||
+            DifficultyProfiles.DEFAULT_PROFILE.name;
+        return result;
+    }
+
+    /**
+     * Turn a profile into chart generator settings (see AudioAnalyzer.difficultySettings)
+     * Beat detection sensitivity for local files follows the note density
+     */
+    static toSettings(profile) {
+        const density = profile.density;
+        return {
+            threshold: 2.0 - 0.8 * density,
+            minInterval: Math.max(0.2, 0.9 - 0.7 * density),
+            maxNotes: density,
+            holdChance: 0.12,
+            chordChance: profile.chordRate,
+            maxChordSize: profile.chordRate >= DifficultyProfiles.TRIPLE_CHORD_RATE ? 3 : 2,
+            mineChance: profile.mineRate,
+            bpmRange: [profile.bpmMin, profile.bpmMax],
+            minGap: profile.minGap,
+            patterns: PatternLibrary.buildPatternTable(profile.eighthRate, profile.sixteenthRate)
+        };
+    }
+}
+
+DifficultyProfiles.ID_PREFIX = 'custom-';
+DifficultyProfiles.MAX_PROFILES = 12;
+DifficultyProfiles.MAX_NAME_LENGTH = 24;
+DifficultyProfiles.TRIPLE_CHORD_RATE = 0.25; // Chord rates from here on also make three-note chords
+
+DifficultyProfiles.DEFAULT_PROFILE = {
+    name: 'Custom',
+    bpmMin: 100,
+    bpmMax: 140,
+    density: 0.6,       // Share of on-beat notes kept
+    eighthRate: 0.3,    // Share of measures in 8th notes
+    sixteenthRate: 0.1, // Share of measures in 16th notes
+    chordRate: 0.15,    // Chance of a chord on strong beats
+    mineRate: 0,        // Chance of a mine between two notes
+    minGap: 0.1,        // Seconds between notes on the same lane
+    healthDrain: 1      // Health lost on misses and mines, relative to Medium (see HealthGauge)
+};
+
+// Allowed [min, max] per numeric field
+DifficultyProfiles.LIMITS = {
+    bpmMin: [40, 300],
+    bpmMax: [40, 300],
+    density: [0.1, 1],
+    eighthRate: [0, 1],
+    sixteenthRate: [0, 1],
+    chordRate: [0, 0.5],
+    mineRate: [0, 0.2],
+    minGap: [0.05, 1],
+    healthDrain: [0.5, 2]
+};
+
+// Export as global
+window.DifficultyProfiles = DifficultyProfiles;
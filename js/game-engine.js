@@ -6,9 +6,17 @@ class GameEngine {
     constructor(renderer, youtubePlayer, audioAnalyzer, inputHandler, scoringSystem, uiManager) {
         this.renderer = renderer;
         this.youtubePlayer = youtubePlayer;
+        this.localPlayer = null; // LocalMediaPlayer, set by main.js
+        this.player = youtubePlayer; // Active media player (YouTube or local file)
+        this.localAudioCache = null;
+        this.tempoManager = null; // TempoManager, set by main.js
+        this.chartStore = null; // ChartStore, set by main.js
+        this.difficultyProfiles = null; // DifficultyProfiles, set by main.js
         this.audioAnalyzer = audioAnalyzer;
         this.inputHandler = inputHandler;
         this.scoringSystem = scoringSystem;
+        this.healthGauge = new HealthGauge();
+        this.modifiers = GameModifiers.resolve(); // Lane transform and rule modifiers (see GameModifiers)
         this.uiManager = uiManager;
         
         // Game state
@@ -19,7 +27,11 @@ class GameEngine {
         // Timing
         this.lastFrameTime = 0;
         this.gameStartTime = 0;
-        this.travelTime = 2; // Seconds for note to travel from spawn to hit zone
+        this.travelTime = 2; // Seconds for note to travel from spawn to hit zone at 1x scroll speed
+        this.scrollSpeed = { mode: 'constant', speed: 1 }; // Player's scroll speed setting (see ScrollMap)
+        this.scrollMap = new ScrollMap(); // Scroll velocity of the current chart
+        this.failTransitionTime = 1.5; // Seconds the fail overlay shows before the results
+        this.playbackRate = 1; // Song seconds per real second (see getNoteTravelTime)
         
         // Timing synchronization
         this.lastYouTubeTime = 0;
@@ -32,15 +44,42 @@ class GameEngine {
         this.lanes = [];
         this.upcomingBeats = [];
         this.beatIndex = 0;
+        this.tempoMap = null; // TempoMap of the current chart (hold ticks fall every half beat)
+        this.keyMode = KeyModes.get(KeyModes.DEFAULT_LANE_COUNT); // Lane count, keys and colors
+        this.chartRating = null; // ChartAnalyzer rating of the current chart
         
         // Settings
         this.difficulty = 'medium';
-        this.noteSpawnOffset = this.travelTime; // Spawn notes this many seconds before hit time
+        this.startOptions = {};
+        
+        // Chart seed (derived from video ID, difficulty and optional user seed)
+        this.userSeed = '';
+        this.seed = 0;
+        
+        // Chart currently being played (see ChartFormat) and its ChartStore ID
+        this.currentChart = null;
+        this.currentChartId = null;
+        this.noteSpawnOffset = this.travelTime; // Spawn notes this much scroll distance before they are hit
         
         // Calibration offset (for audio/video sync issues)
         // Includes compensation for typical audio latency and YouTube API delays
         this.calibrationOffset = 0.15; // Default 150ms to compensate for system audio latency
         
+        // Practice mode: A-B loop in song time (loopEnd is null until B is set), whether a
+        // seek back to A is still under way and the scores of finished loops
+        this.practice = null; // { loopStart, loopEnd, seeking, loops }
+        
+        // Autoplay: the bot presses the keys and the player only watches
+        this.autoplayBot = null; // AutoplayBot, or null when the player plays
+        
+        // Replays: the inputs of a play are recorded while it runs (see ReplayFormat), and
+        // a ReplayPlayer plays a recorded run back like the autoplay bot
+        this.replayRecording = null; // { modifiers, scrollSpeed, calibrationOffset, inputs, hotkeys }
+        this.replayPlayer = null; // ReplayPlayer, or null when the player plays
+        this.lastReplay = null; // Replay of the last finished play, for download
+        this.lastSongTime = 0; // Song time of the last update (hotkeys are recorded at it)
+        this.pausedReleases = new Set(); // Lanes let go while paused, released on the next update
+        
         // Animation frame ID
         this.animationFrameId = null;
         
@@ -49,6 +88,9 @@ class GameEngine {
         this.handleKeyPress = this.handleKeyPress.bind(this);
         this.handleKeyRelease = this.handleKeyRelease.bind(this);
         this.handlePause = this.handlePause.bind(this);
+        this.handleHotkey = this.handleHotkey.bind(this);
+        this.handleCanvasMouseDown = this.handleCanvasMouseDown.bind(this);
+        this.handleCanvasContextMenu = this.handleCanvasContextMenu.bind(this);
     }
 
     /**
@@ -62,13 +104,27 @@ class GameEngine {
         this.inputHandler.setKeyPressCallback(this.handleKeyPress);
         this.inputHandler.setKeyReleaseCallback(this.handleKeyRelease);
         this.inputHandler.setPauseCallback(this.handlePause);
+        this.inputHandler.setHotkeyCallback(this.handleHotkey);
+        
+        // Practice loops are marked by clicking the progress bar
+        this.renderer.canvas.addEventListener('mousedown', this.handleCanvasMouseDown);
+        this.renderer.canvas.addEventListener('contextmenu', this.handleCanvasContextMenu);
         
         // Set up YouTube player callbacks
         this.youtubePlayer.onStateChange((event) => {
-            if (event.data === YT.PlayerState.ENDED) {
+            if (event.data === YT.PlayerState.ENDED && this.isRunning) {
                 this.endGame();
             }
         });
+        
+        // Set up local media player callbacks
+        if (this.localPlayer) {
+            this.localPlayer.onStateChange((event) => {
+                if (event.data === LocalMediaPlayer.PlayerState.ENDED && this.isRunning) {
+                    this.endGame();
+                }
+            });
+        }
     }
 
     /**
@@ -76,54 +132,127 @@ class GameEngine {
      */
     initLanes() {
         this.lanes = [];
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < this.keyMode.laneCount; i++) {
             const lane = new Lane(
                 i,
                 this.renderer.getLaneX(i),
                 this.renderer.getLaneWidth(),
                 this.renderer.canvas.height,
-                this.renderer.getHitZoneY()
+                this.renderer.getHitZoneY(),
+                this.keyMode
             );
             this.lanes.push(lane);
         }
     }
 
+    /**
+     * Switch the lane count, key bindings and lane colors
+     */
+    setKeyMode(laneCount) {
+        this.keyMode = KeyModes.get(laneCount);
+        this.renderer.setLaneCount(laneCount);
+        this.inputHandler.setKeyBindings(this.keyMode.keys);
+        this.initLanes();
+    }
+
     /**
      * Start a new game with the given URL and difficulty
+     * @param {object} options - {
+     *   seed: optional user seed for generation,
+     *   chart: loaded chart to play instead of generating one,
+     *   startTime: song time to start from (editor test play),
+     *   onExit: called with the final stats instead of showing results/start (editor test play),
+     *   localFile: audio/video File to play instead of the YouTube URL,
+     *   laneCount: number of lanes for generated charts (loaded charts use their own),
+     *   practice: loop sections marked on the progress bar without recording scores,
+     *   rate: playback rate (0.5 to 2, scores are multiplied by ScoringSystem.getRateMultiplier),
+     *   modifiers: lane transform and rule modifiers, including No Fail (see GameModifiers),
+     *   scrollSpeed: { mode: 'constant' | 'bpm', speed } (see ScrollMap),
+     *   autoplay: { jitter } to let AutoplayBot play (jitter in seconds), never recording scores,
+     *   replay: parsed replay to play back on the chart it was recorded on (see ReplayFormat),
+     *           never recording scores; rate, modifiers and scroll speed should be the replay's
+     * }
      */
-    async startGame(url, difficulty) {
+    async startGame(url, difficulty, options = {}) {
         this.difficulty = difficulty;
+        this.startOptions = options;
+        this.currentUrl = url;
+        this.userSeed = options.chart ? (options.chart.metadata.seed || '') : (options.seed || '');
+        this.seed = 0;
+        this.currentChartId = null;
+        this.playbackRate = options.rate || 1;
+        const scrollSpeed = options.scrollSpeed || {};
+        this.scrollSpeed = {
+            mode: scrollSpeed.mode === 'bpm' ? 'bpm' : 'constant',
+            speed: ScrollMap.clampSpeed(scrollSpeed.speed || 1)
+        };
+        this.noteSpawnOffset = this.getNoteTravelTime();
+        this.uiManager.showScrollSpeed(ScrollMap.formatSpeed(this.scrollSpeed));
+        this.scoringSystem.setScoreMultiplier(ScoringSystem.getRateMultiplier(this.playbackRate));
+        this.healthGauge.configure(HealthGauge.getSettings(difficulty, this.difficultyProfiles));
+        this.modifiers = GameModifiers.resolve(options.modifiers);
+        this.practice = options.practice ? { loopStart: null, loopEnd: null, seeking: false, loops: [] } : null;
+        // A fresh seed every run, so the jittered timing errors differ from run to run
+        this.autoplayBot = options.autoplay
+            ? new AutoplayBot(options.autoplay.jitter || 0, SeededRandom.hashString(SeededRandom.randomUserSeed()))
+            : null;
+        this.replayPlayer = options.replay ? new ReplayPlayer(options.replay) : null;
+        this.lastReplay = null;
+        this.replayRecording = this.shouldRecordReplay(options) ? {
+            modifiers: { ...this.modifiers },
+            scrollSpeed: { ...this.scrollSpeed },
+            calibrationOffset: this.calibrationOffset,
+            inputs: [],
+            hotkeys: []
+        } : null;
+        this.uiManager.showModifiers(this.getModifierLabels());
         this.reset();
+        this.uiManager.showPracticePanel(Boolean(this.practice));
+        this.updatePracticeUI();
         
         try {
             // Show loading screen
             this.uiManager.showScreen('loading');
-            this.uiManager.updateLoadingProgress(10, 'Initializing YouTube player...');
             
-            // Initialize YouTube API
-            await this.youtubePlayer.init();
-            this.uiManager.updateLoadingProgress(30, 'Loading video...');
+            // Load the media and build the chart for it
+            if (options.localFile) {
+                await this.loadLocalFile(options.localFile, difficulty);
+            } else {
+                await this.loadYouTubeVideo(url, difficulty);
+            }
+            this.upcomingBeats = ChartFormat.toBeats(this.currentChart);
+            this.tempoMap = TempoMap.fromChart(this.currentChart);
+            this.scrollMap = ScrollMap.fromChart(this.currentChart, this.scrollSpeed.mode === 'bpm');
+            this.setKeyMode(this.currentChart.laneCount || KeyModes.DEFAULT_LANE_COUNT);
             
-            // Load the video
-            await this.youtubePlayer.loadVideo(url);
-            this.uiManager.updateLoadingProgress(50, 'Preparing audio analysis...');
+            // A replay only plays back the same way on the chart it was recorded on
+            if (this.replayPlayer && ChartStore.hashChart(this.currentChart) !== options.replay.chart.hash) {
+                throw new Error('This replay was recorded on a different chart');
+            }
             
-            // Get video duration
-            const duration = this.youtubePlayer.getDuration();
+            // Rate the whole chart (shown while loading, in the HUD and on the results screen)
+            this.chartRating = ChartAnalyzer.analyze(this.upcomingBeats);
+            this.uiManager.showChartRating(this.chartRating);
+            if (this.historyManager && url && !options.localFile && !options.onExit && !options.practice && !options.autoplay && !options.replay) {
+                this.historyManager.updateRating(url, this.chartRating);
+            }
             
-            // Initialize audio analyzer
-            this.audioAnalyzer.init();
-            await this.audioAnalyzer.resume();
-            this.uiManager.updateLoadingProgress(70, 'Generating beat map...');
+            // Lane modifiers move the notes after rating; the chart itself keeps its lanes
+            this.upcomingBeats = GameModifiers.applyLaneTransform(this.upcomingBeats, this.keyMode.laneCount, this.modifiers);
+            
+            // Keep the chart so it can be picked again from the chart browser
+            if (!options.localFile && !options.onExit) {
+                this.storeChart();
+            }
             
-            // Generate beats based on difficulty and duration
-            // Since we can't access YouTube audio directly, we generate procedural beats
-            const bpm = this.estimateBPMForDifficulty(difficulty);
-            this.upcomingBeats = this.audioAnalyzer.generateBeatsForDuration(duration, difficulty, bpm);
-            this.beatIndex = 0;
+            // Skip notes before the start time when starting part-way through
+            const startTime = options.startTime || 0;
+            this.beatIndex = this.findBeatIndex(startTime);
             
             // Set expected notes for progress tracking
-            this.scoringSystem.setTotalExpectedNotes(this.upcomingBeats.length);
+            const playedBeats = this.upcomingBeats.slice(this.beatIndex);
+            this.scoringSystem.setTotalExpectedNotes(this.countJudgements(playedBeats));
+            this.scoringSystem.setTotalMines(playedBeats.filter(beat => beat.type === 'mine').length);
             
             this.uiManager.updateLoadingProgress(90, 'Starting game...');
             
@@ -139,8 +268,12 @@ class GameEngine {
             // Start input handling
             this.inputHandler.start();
             
-            // Start video playback
-            this.youtubePlayer.play();
+            // Start video playback, leaving time for the first notes to travel in
+            if (startTime > 0) {
+                this.player.seekTo(Math.max(0, startTime - this.getLeadInTime()));
+            }
+            this.player.setPlaybackRate(this.playbackRate);
+            this.player.play();
             
             // Start game loop
             this.isRunning = true;
@@ -150,7 +283,7 @@ class GameEngine {
             this.lastFrameTime = this.gameStartTime;
             
             // Initialize timing synchronization
-            this.lastYouTubeTime = this.youtubePlayer.getCurrentTime();
+            this.lastYouTubeTime = this.player.getCurrentTime();
             this.lastYouTubeTimeUpdate = this.gameStartTime;
             this.interpolatedTime = this.lastYouTubeTime;
             
@@ -164,20 +297,204 @@ class GameEngine {
     }
 
     /**
-     * Estimate BPM based on difficulty
+     * Check whether a play's inputs are recorded for a replay
+     * (not in practice mode, autoplay, replays or editor test plays)
      */
-    estimateBPMForDifficulty(difficulty) {
-        // Random BPM within typical ranges
-        switch (difficulty) {
-            case 'easy':
-                return 80 + Math.floor(Math.random() * 40); // 80-120
-            case 'medium':
-                return 100 + Math.floor(Math.random() * 40); // 100-140
-            case 'hard':
-                return 120 + Math.floor(Math.random() * 60); // 120-180
-            default:
-                return 120;
+    shouldRecordReplay(options) {
+        return !options.practice && !options.autoplay && !options.replay && !options.onExit;
+    }
+
+    /**
+     * Load a YouTube video and generate (or use the loaded) chart for it
+     */
+    async loadYouTubeVideo(url, difficulty) {
+        this.uiManager.updateLoadingProgress(10, 'Initializing YouTube player...');
+        
+        // Switch playback back to YouTube
+        if (this.localPlayer) {
+            this.localPlayer.unload();
+        }
+        this.player = this.youtubePlayer;
+        
+        // Initialize YouTube API
+        await this.youtubePlayer.init();
+        this.uiManager.updateLoadingProgress(30, 'Loading video...');
+        
+        // Load the video
+        await this.youtubePlayer.loadVideo(url);
+        if (!this.youtubePlayer.getAvailablePlaybackRates().includes(this.playbackRate)) {
+            throw new Error(`This video can't be played at ${ScoringSystem.formatRate(this.playbackRate)}`);
         }
+        this.uiManager.updateLoadingProgress(50, 'Preparing audio analysis...');
+        
+        // Get video duration
+        const duration = this.youtubePlayer.getDuration();
+        
+        // Initialize audio analyzer
+        this.audioAnalyzer.init();
+        await this.audioAnalyzer.resume();
+        this.uiManager.updateLoadingProgress(70, 'Generating beat map...');
+        
+        // Play the loaded chart if one was given, otherwise generate one
+        const videoId = this.youtubePlayer.extractVideoId(url);
+        this.currentChart = this.startOptions.chart || this.generateChart(videoId, difficulty, duration);
+    }
+
+    /**
+     * Load a local audio/video file and build a chart from its detected onsets
+     */
+    async loadLocalFile(file, difficulty) {
+        if (!this.localPlayer) {
+            throw new Error('Local file playback is not available');
+        }
+        
+        this.uiManager.updateLoadingProgress(10, `Loading ${file.name}...`);
+        
+        // Switch playback to the local media element
+        this.youtubePlayer.stop();
+        this.player = this.localPlayer;
+        await this.localPlayer.loadFile(file);
+        
+        if (this.startOptions.chart) {
+            this.currentChart = this.startOptions.chart;
+            return;
+        }
+        
+        // Decode the file (cached so restarts don't decode again)
+        this.uiManager.updateLoadingProgress(25, 'Decoding audio...');
+        if (!this.localAudioCache || this.localAudioCache.file !== file) {
+            const buffer = await this.audioAnalyzer.decodeAudioFile(file);
+            this.localAudioCache = { file: file, buffer: buffer };
+        }
+        
+        // Offline onset detection over the whole track
+        const onsets = await this.audioAnalyzer.detectBeatsOffline(
+            this.localAudioCache.buffer,
+            difficulty,
+            (progress) => {
+                this.uiManager.updateLoadingProgress(30 + progress * 50, 'Detecting beats...');
+            }
+        );
+        
+        if (onsets.length === 0) {
+            throw new Error(`No beats detected in "${file.name}"`);
+        }
+        
+        this.seed = SeededRandom.deriveSeed(`local:${file.name}:${file.size}`, difficulty, this.userSeed);
+        const rng = new SeededRandom(this.seed);
+        const laneCount = this.getLaneCount();
+        const beats = this.audioAnalyzer.generateBeatsFromOnsets(onsets, difficulty, rng, laneCount);
+        
+        this.currentChart = ChartFormat.create({
+            videoId: null,
+            difficulty: difficulty,
+            laneCount: laneCount,
+            seed: this.userSeed,
+            bpm: this.audioAnalyzer.estimateBPM(onsets.map(onset => onset.time)),
+            beats: beats,
+            metadata: { title: file.name }
+        });
+    }
+
+    /**
+     * Generate a chart for a video
+     * Since we can't access YouTube audio directly, we generate procedural beats
+     * from a seeded generator so the same video/difficulty/seed replays the same chart
+     */
+    generateChart(videoId, difficulty, duration) {
+        this.seed = SeededRandom.deriveSeed(videoId, difficulty, this.userSeed);
+        const rng = new SeededRandom(this.seed);
+        this.uiManager.updateLoadingProgress(75, `Generating beat map (seed #${SeededRandom.formatSeed(this.seed)})...`);
+        
+        // Use the tapped tempo map for this video if there is one, otherwise a seeded constant BPM
+        const tempoMap = (this.tempoManager && this.tempoManager.getTempoMap(videoId)) ||
+            TempoMap.constant(this.estimateBPMForDifficulty(difficulty, rng));
+        const laneCount = this.getLaneCount();
+        const beats = this.audioAnalyzer.generateBeatsForDuration(duration, difficulty, tempoMap, rng, laneCount);
+        
+        return ChartFormat.create({
+            videoId: videoId,
+            difficulty: difficulty,
+            laneCount: laneCount,
+            seed: this.userSeed,
+            timingPoints: tempoMap.points,
+            beats: beats
+        });
+    }
+
+    /**
+     * Save the current chart in the chart store (without holding up the game if it fails)
+     */
+    storeChart() {
+        if (!this.chartStore) return;
+        
+        const chartId = ChartStore.getChartId(this.currentChart);
+        this.currentChartId = chartId;
+        this.chartStore.saveChart(this.currentChart, this.chartRating).catch(error => {
+            console.error('Failed to store chart:', error);
+            if (this.currentChartId === chartId) {
+                this.currentChartId = null;
+            }
+        });
+    }
+
+    /**
+     * Get the lane count to generate charts with
+     */
+    getLaneCount() {
+        return this.startOptions.laneCount || KeyModes.DEFAULT_LANE_COUNT;
+    }
+
+    /**
+     * Estimate BPM based on difficulty
+     */
+    estimateBPMForDifficulty(difficulty, rng = new SeededRandom()) {
+        // Seeded whole BPM within the difficulty's typical range (both ends included)
+        const [minBpm, maxBpm] = this.audioAnalyzer.getSettings(difficulty).bpmRange.map(Math.round);
+        return minBpm + rng.nextInt(maxBpm - minBpm + 1);
+    }
+
+    /**
+     * Get the scroll distance a note is on screen for (song seconds at 1x scroll, see ScrollMap):
+     * notes take travelTime real seconds to fall at 1x scroll speed, less at higher speeds,
+     * and at faster playback rates they cover more of the song
+     */
+    getNoteTravelTime() {
+        return this.travelTime / this.scrollSpeed.speed * this.playbackRate;
+    }
+
+    /**
+     * Get the song seconds to start playback before the first note to play, leaving
+     * time for it to travel in plus a second to get ready
+     */
+    getLeadInTime() {
+        return (this.travelTime / this.scrollSpeed.speed + 1) * this.playbackRate;
+    }
+
+    /**
+     * Get the calibration offset in song time (it is measured in real time,
+     * so it covers more of the song at faster rates)
+     */
+    getCalibrationOffset() {
+        // Replays line up with the video as they did when recorded
+        const offset = this.replayPlayer ? this.replayPlayer.calibrationOffset : this.calibrationOffset;
+        return offset * this.playbackRate;
+    }
+
+    /**
+     * Find the index of the first upcoming beat at or after a song time
+     */
+    findBeatIndex(time) {
+        const index = this.upcomingBeats.findIndex(beat => beat.time >= time);
+        return index === -1 ? this.upcomingBeats.length : index;
+    }
+
+    /**
+     * Count the judgements a list of beats produces (hold notes are judged on press and release,
+     * mines are not judged)
+     */
+    countJudgements(beats) {
+        return beats.reduce((count, beat) => count + (beat.type === 'hold' ? 2 : beat.type === 'mine' ? 0 : 1), 0);
     }
 
     /**
@@ -217,26 +534,48 @@ class GameEngine {
         const timeSinceLastUpdate = (currentTime - this.lastYouTubeTimeUpdate) / 1000;
         
         if (timeSinceLastUpdate > 0.1) {
-            this.lastYouTubeTime = this.youtubePlayer.getCurrentTime();
+            this.lastYouTubeTime = this.player.getCurrentTime();
             this.lastYouTubeTimeUpdate = currentTime;
             this.interpolatedTime = this.lastYouTubeTime;
         } else {
-            // Interpolate time based on frame delta (assume normal playback speed)
+            // Interpolate time based on frame delta at the playback rate
             const deltaTime = (currentTime - this.lastYouTubeTimeUpdate) / 1000;
-            this.interpolatedTime = this.lastYouTubeTime + deltaTime;
+            this.interpolatedTime = this.lastYouTubeTime + deltaTime * this.playbackRate;
         }
         
         // Apply calibration offset
-        return this.interpolatedTime + this.calibrationOffset;
+        return this.interpolatedTime + this.getCalibrationOffset();
     }
 
     /**
      * Update game state
      */
     update(currentTime, deltaTime) {
+        // Right after a practice seek the player can still report the old time,
+        // so wait until playback is back at A
+        if (this.practice && this.practice.seeking) {
+            if (currentTime >= this.practice.loopStart + GameEngine.MIN_PRACTICE_LOOP) return;
+            this.practice.seeking = false;
+        }
+        
+        this.lastSongTime = currentTime;
+        
+        // Keys let go while paused release their held notes now
+        for (const lane of this.pausedReleases) {
+            if (!this.inputHandler.isLanePressed(lane)) {
+                this.releaseHeldNote(lane, this.recordInput('release', lane, currentTime));
+            }
+        }
+        this.pausedReleases.clear();
+        
         // Spawn new notes
         this.spawnNotes(currentTime);
         
+        // The bot (or replay) presses before notes are updated, so nothing it plays is missed
+        if (this.getInputBot()) {
+            this.runInputBot(currentTime);
+        }
+        
         // Update lanes
         for (const lane of this.lanes) {
             lane.update(deltaTime);
@@ -246,18 +585,36 @@ class GameEngine {
         for (const note of this.notes) {
             note.update(
                 currentTime,
-                this.travelTime,
+                this.getNoteTravelTime(),
                 this.renderer.getHitZoneY(),
                 this.renderer.getLaneX(note.lane),
                 this.renderer.getLaneWidth(),
-                this.renderer.getSpawnY()
+                this.renderer.getSpawnY(),
+                this.scrollMap
             );
             
-            // Handle missed notes
+            // Hold notes score ticks while held and complete at their end
+            if (note.isHolding()) {
+                if (!this.isLanePressed(note.lane)) {
+                    // Released while paused
+                    this.releaseHold(note, currentTime);
+                } else {
+                    this.awardHoldTicks(note, currentTime);
+                    if (currentTime >= note.endTime) {
+                        this.completeHold(note, 'perfect');
+                    }
+                }
+            }
+            
+            // Handle missed notes (a missed hold also misses its release)
             if (note.status === 'missed' && !note.wasScored) {
                 note.wasScored = true;
                 this.scoringSystem.processMiss();
+                if (note.isHold()) {
+                    this.scoringSystem.processMiss();
+                }
                 this.uiManager.showHitFeedback('miss');
+                this.applyJudgement('miss');
             }
         }
         
@@ -273,6 +630,166 @@ class GameEngine {
                 }, 2000);
             }
         }
+        
+        if (this.practice) {
+            this.updatePracticeLoop(currentTime);
+        }
+    }
+
+    /**
+     * Go round the practice loop again once playback passes B
+     */
+    updatePracticeLoop(currentTime) {
+        const practice = this.practice;
+        if (practice.loopEnd === null) return;
+        
+        // Leave time to judge the last notes of the loop
+        if (currentTime >= practice.loopEnd + GameEngine.PRACTICE_LOOP_TAIL) {
+            this.restartPracticeLoop();
+        }
+    }
+
+    /**
+     * Handle a click on the game canvas: clicks on the progress bar set practice loop points
+     */
+    handleCanvasMouseDown(event) {
+        if (event.button !== 0) return;
+        
+        const time = this.getProgressBarClickTime(event);
+        if (time !== null) {
+            event.preventDefault();
+            this.setPracticePoint(time);
+        }
+    }
+
+    /**
+     * Right-clicking the progress bar clears the practice loop
+     */
+    handleCanvasContextMenu(event) {
+        if (this.getProgressBarClickTime(event) !== null) {
+            event.preventDefault();
+            this.clearPracticeLoop();
+        }
+    }
+
+    /**
+     * Get the song time of a mouse event on the progress bar
+     * @returns {number|null} - null outside practice mode or when the bar was missed
+     */
+    getProgressBarClickTime(event) {
+        if (!this.practice || !this.isRunning || this.isPaused || this.isGameOver) return null;
+        
+        const rect = this.renderer.canvas.getBoundingClientRect();
+        const videoTime = this.renderer.getProgressBarTime(
+            event.clientX - rect.left,
+            event.clientY - rect.top,
+            this.player.getDuration()
+        );
+        
+        // The bar shows video time, notes are timed in song time (see getInterpolatedPlaybackTime)
+        return videoTime === null ? null : videoTime + this.getCalibrationOffset();
+    }
+
+    /**
+     * Mark a practice loop point: the first click sets A, the next sets B and starts
+     * looping, and a click after that starts a new loop at A
+     */
+    setPracticePoint(time) {
+        const practice = this.practice;
+        
+        if (practice.loopStart === null || practice.loopEnd !== null) {
+            practice.loopStart = time;
+            practice.loopEnd = null;
+            this.updatePracticeUI();
+            return;
+        }
+        
+        if (Math.abs(time - practice.loopStart) < GameEngine.MIN_PRACTICE_LOOP) return;
+        
+        practice.loopEnd = Math.max(time, practice.loopStart);
+        practice.loopStart = Math.min(time, practice.loopStart);
+        
+        // Playing up to B is not a pass of the loop, so its score is dropped
+        this.scoringSystem.reset();
+        this.restartPracticeLoop();
+    }
+
+    /**
+     * Remove the practice loop (playback carries on)
+     */
+    clearPracticeLoop() {
+        this.practice.loopStart = null;
+        this.practice.loopEnd = null;
+        this.practice.seeking = false;
+        this.updatePracticeUI();
+    }
+
+    /**
+     * Restart the practice section: keep the score of the pass so far, seek back
+     * to A and respawn the section's notes with a fresh score
+     */
+    restartPracticeLoop() {
+        const practice = this.practice;
+        if (!practice || practice.loopStart === null) return;
+        
+        this.recordPracticeLoop();
+        
+        if (this.endTimeout) {
+            clearTimeout(this.endTimeout);
+            this.endTimeout = null;
+        }
+        
+        // Respawn the notes from A (up to B, see spawnNotes)
+        this.notes = [];
+        if (this.autoplayBot) {
+            this.autoplayBot.reset();
+        }
+        this.beatIndex = this.findBeatIndex(practice.loopStart);
+        const endIndex = practice.loopEnd === null ? this.upcomingBeats.length : this.findBeatIndex(practice.loopEnd);
+        const sectionBeats = this.upcomingBeats.slice(this.beatIndex, endIndex);
+        
+        this.scoringSystem.reset();
+        this.healthGauge.reset();
+        this.scoringSystem.setTotalExpectedNotes(this.countJudgements(sectionBeats));
+        this.scoringSystem.setTotalMines(sectionBeats.filter(beat => beat.type === 'mine').length);
+        
+        // Seek far enough back for the first notes to travel in
+        const seekTime = Math.max(0, practice.loopStart - this.getCalibrationOffset() - this.getLeadInTime());
+        this.player.seekTo(seekTime);
+        this.player.play();
+        
+        this.lastYouTubeTime = seekTime;
+        this.lastYouTubeTimeUpdate = performance.now();
+        this.interpolatedTime = seekTime;
+        practice.seeking = true;
+        
+        this.updatePracticeUI();
+    }
+
+    /**
+     * Keep the score of the current practice pass (passes without any judgements are skipped)
+     */
+    recordPracticeLoop() {
+        const stats = this.scoringSystem.getStats();
+        const { perfect, good, miss, mines } = stats.breakdown;
+        if (perfect + good + miss + mines === 0) return;
+        
+        this.practice.loops.push({
+            score: stats.score,
+            accuracy: stats.accuracy,
+            maxCombo: stats.maxCombo,
+            miss: miss,
+            mines: mines
+        });
+    }
+
+    /**
+     * Show the practice loop and loop scores
+     */
+    updatePracticeUI() {
+        if (this.practice) {
+            this.uiManager.updatePractice(this.practice);
+        }
     }
 
     /**
@@ -281,10 +798,13 @@ class GameEngine {
     spawnNotes(currentTime) {
         while (this.beatIndex < this.upcomingBeats.length) {
             const beat = this.upcomingBeats[this.beatIndex];
-            const spawnTime = beat.time - this.noteSpawnOffset;
             
-            if (currentTime >= spawnTime) {
-                const note = new Note(beat.lane, beat.time, beat.intensity);
+            // Practice loops only play the notes up to B
+            if (this.practice && this.practice.loopEnd !== null && beat.time > this.practice.loopEnd) break;
+            
+            // Scroll distance only grows with time (speeds are never negative), so notes spawn in order
+            if (this.scrollMap.getDistance(currentTime, beat.time) <= this.noteSpawnOffset) {
+                const note = new Note(beat.lane, beat.time, beat.intensity, beat.type, beat.duration, this.keyMode.colors);
                 this.notes.push(note);
                 this.beatIndex++;
             } else {
@@ -296,40 +816,41 @@ class GameEngine {
     /**
      * Handle key press
      */
-    handleKeyPress(lane, pressTime) {
+    handleKeyPress(lane, pressTime, songTime = null) {
         if (this.isPaused || this.isGameOver) return;
         
+        // In autoplay and replays only the bot's presses (which carry their song time) count
+        if (this.getInputBot() && songTime === null) return;
+        
         // Activate lane visual
         this.lanes[lane].press();
         
-        // Get current playback time using interpolation for accuracy
-        const currentTime = this.getInterpolatedPlaybackTime(performance.now());
-        
-        // Find the closest note in this lane
-        let closestNote = null;
-        let closestTimeDiff = Infinity;
+        // Get current playback time using interpolation for accuracy (rounded as it is recorded)
+        const currentTime = songTime !== null
+            ? songTime
+            : this.recordInput('press', lane, this.getInterpolatedPlaybackTime(performance.now()));
         
-        for (const note of this.notes) {
-            if (note.lane === lane && note.isActive()) {
-                const timeDiff = Math.abs(note.hitTime - currentTime);
-                if (timeDiff < closestTimeDiff) {
-                    closestTimeDiff = timeDiff;
-                    closestNote = note;
-                }
-            }
-        }
+        // Only notes in the pressed lane are considered, so each key of a chord
+        // is judged against its own note
+        const note = this.findJudgeableNote(lane, currentTime);
+        const timeDiff = note ? Math.abs(note.hitTime - currentTime) : Infinity;
         
         // Check if we hit a note
-        if (closestNote && closestTimeDiff <= 0.15) { // Within hit window
-            const result = this.scoringSystem.judgeHit(closestTimeDiff);
+        if (note && timeDiff <= 0.15) { // Within hit window
+            const result = this.scoringSystem.judgeHit(timeDiff);
             
             if (result !== 'miss') {
-                // Hit the note
-                closestNote.hit(result);
-                closestNote.wasScored = true;
+                // Hit the note (hold notes keep going until released)
+                if (note.isHold()) {
+                    note.startHold(result, this.tempoMap.getBeatInterval(note.hitTime) / 2);
+                } else {
+                    note.hit(result);
+                }
+                note.wasScored = true;
                 
                 // Process score
                 this.scoringSystem.processHit(result);
+                this.applyJudgement(result);
                 
                 // Visual feedback
                 this.lanes[lane].flash(result === 'perfect' ? 1 : 0.5);
@@ -337,20 +858,239 @@ class GameEngine {
                 
                 // Particle effect
                 this.renderer.createHitEffect(
-                    closestNote.x + closestNote.width / 2,
+                    note.x + note.width / 2,
                     this.renderer.getHitZoneY(),
-                    closestNote.getColor(),
+                    note.getColor(),
                     result === 'perfect' ? 1 : 0.6
                 );
+                return;
             }
         }
+        
+        // A press that hit nothing sets off a mine in its window
+        const mine = this.findMine(lane, currentTime);
+        if (mine) {
+            this.hitMine(mine);
+        }
+    }
+
+    /**
+     * Find the note a press in a lane should judge: the earliest unjudged note
+     * within the hit window, so a late press never skips ahead to a later note
+     */
+    findJudgeableNote(lane, currentTime) {
+        let earliest = null;
+        
+        for (const note of this.notes) {
+            if (note.lane !== lane || !note.isActive() || note.isMine()) continue;
+            if (Math.abs(note.hitTime - currentTime) > 0.15) continue;
+            if (!earliest || note.hitTime < earliest.hitTime) {
+                earliest = note;
+            }
+        }
+        
+        return earliest;
+    }
+
+    /**
+     * Find the mine closest to a press in a lane within the good window
+     */
+    findMine(lane, currentTime) {
+        let closest = null;
+        
+        for (const note of this.notes) {
+            if (note.lane !== lane || !note.isActive() || !note.isMine()) continue;
+            const timeDiff = Math.abs(note.hitTime - currentTime);
+            if (timeDiff > this.scoringSystem.timingWindows.good) continue;
+            if (!closest || timeDiff < Math.abs(closest.hitTime - currentTime)) {
+                closest = note;
+            }
+        }
+        
+        return closest;
+    }
+
+    /**
+     * Set off a mine: lose score and combo
+     */
+    hitMine(mine) {
+        mine.explode();
+        this.scoringSystem.processMineHit();
+        this.applyJudgement('mine');
+        
+        this.uiManager.showHitFeedback('mine');
+        this.renderer.createHitEffect(
+            mine.x + mine.width / 2,
+            this.renderer.getHitZoneY(),
+            Note.MINE_COLOR,
+            1
+        );
+    }
+
+    /**
+     * Apply a judgement to the health gauge and the rule modifiers, and fail the song
+     * once health runs out or a rule is broken
+     */
+    applyJudgement(result) {
+        this.healthGauge.apply(result);
+        
+        const failed = this.healthGauge.isEmpty() || GameModifiers.failsOn(this.modifiers, result);
+        if (failed && this.canFail()) {
+            this.endGame(true);
+        }
+    }
+
+    /**
+     * Get the labels of the active modifiers and playback rate for the HUD
+     */
+    getModifierLabels() {
+        const labels = GameModifiers.getLabels(this.modifiers);
+        if (this.playbackRate !== 1) {
+            labels.push(ScoringSystem.formatRate(this.playbackRate));
+        }
+        if (this.autoplayBot) {
+            labels.push(GameEngine.AUTOPLAY_LABEL);
+        }
+        if (this.replayPlayer) {
+            labels.push(GameEngine.REPLAY_LABEL);
+        }
+        return labels;
+    }
+
+    /**
+     * Check whether the song can be failed
+     * (never with No Fail, in practice mode, in autoplay or in editor test plays)
+     */
+    canFail() {
+        return !this.modifiers.noFail && !this.practice && !this.autoplayBot && !this.startOptions.onExit;
     }
 
     /**
      * Handle key release
      */
-    handleKeyRelease(lane) {
+    handleKeyRelease(lane, songTime = null) {
+        if (this.getInputBot() && songTime === null) return;
+        
         this.lanes[lane].release();
+        
+        if (this.isGameOver) return;
+        
+        // Releases while paused take effect (and are recorded) on the next update
+        if (this.isPaused) {
+            this.pausedReleases.add(lane);
+            return;
+        }
+        
+        const releaseTime = songTime !== null
+            ? songTime
+            : this.recordInput('release', lane, this.getInterpolatedPlaybackTime(performance.now()));
+        this.releaseHeldNote(lane, releaseTime);
+    }
+
+    /**
+     * Judge the release of the note held in a lane, if there is one
+     */
+    releaseHeldNote(lane, releaseTime) {
+        const note = this.notes.find(n => n.lane === lane && n.isHolding());
+        if (note) {
+            this.releaseHold(note, releaseTime);
+        }
+    }
+
+    /**
+     * Round a player's input to the replay time resolution and record it when recording a replay
+     * Inputs never go back in time, even when a player time update moves the clock back a little
+     * @returns {number} - The song time to judge the input at
+     */
+    recordInput(type, lane, time) {
+        let songTime = ReplayFormat.quantizeTime(time);
+        if (this.replayRecording) {
+            const inputs = this.replayRecording.inputs;
+            if (inputs.length > 0) {
+                songTime = Math.max(songTime, inputs[inputs.length - 1].time);
+            }
+            inputs.push({ type: type, lane: lane, time: songTime });
+        }
+        return songTime;
+    }
+
+    /**
+     * Get what presses the keys instead of the player: the autoplay bot or a replay
+     * @returns {AutoplayBot|ReplayPlayer|null}
+     */
+    getInputBot() {
+        return this.autoplayBot || this.replayPlayer;
+    }
+
+    /**
+     * Check whether a lane's key is down (the bot's or replay's keys when they play)
+     */
+    isLanePressed(lane) {
+        const bot = this.getInputBot();
+        return bot ? bot.isLaneHeld(lane) : this.inputHandler.isLanePressed(lane);
+    }
+
+    /**
+     * Let the bot (or replay) press and release the keys that are due, at their exact song times
+     */
+    runInputBot(currentTime) {
+        for (const action of this.getInputBot().update(currentTime, this.notes)) {
+            if (action.type === 'press') {
+                this.handleKeyPress(action.lane, performance.now(), action.time);
+            } else if (action.type === 'release') {
+                this.handleKeyRelease(action.lane, action.time);
+            } else {
+                this.handleHotkey(action.key, action.time);
+            }
+            if (this.isGameOver) return;
+        }
+    }
+
+    /**
+     * Award the ticks a held note has reached by the given time
+     */
+    awardHoldTicks(note, currentTime) {
+        const until = Math.min(currentTime, note.endTime);
+        
+        while (note.nextTickTime < until) {
+            this.scoringSystem.processHoldTick();
+            note.nextTickTime += note.tickInterval;
+        }
+    }
+
+    /**
+     * Judge the release of a held note; releasing too early breaks the hold
+     */
+    releaseHold(note, releaseTime) {
+        this.awardHoldTicks(note, releaseTime);
+        
+        const result = this.scoringSystem.judgeRelease(note.endTime - releaseTime);
+        if (result === 'miss') {
+            note.status = 'missed';
+            this.scoringSystem.processMiss();
+            this.uiManager.showHitFeedback('miss');
+            this.applyJudgement('miss');
+        } else {
+            this.completeHold(note, result);
+        }
+    }
+
+    /**
+     * Finish a held note with a release judgement
+     */
+    completeHold(note, result) {
+        note.completeHold(result);
+        this.scoringSystem.processHit(result);
+        this.applyJudgement(result);
+        
+        this.lanes[note.lane].flash(result === 'perfect' ? 1 : 0.5);
+        this.uiManager.showHitFeedback(result);
+        this.renderer.createHitEffect(
+            note.x + note.width / 2,
+            this.renderer.getHitZoneY(),
+            note.getColor(),
+            result === 'perfect' ? 1 : 0.6
+        );
     }
 
     /**
@@ -366,12 +1106,71 @@ class GameEngine {
         }
     }
 
+    /**
+     * Handle keys other than lane keys and pause
+     * @param {number|null} songTime - Song time of a replayed hotkey (null for the keyboard)
+     * @returns {boolean} - Whether the key was used
+     */
+    handleHotkey(key, songTime = null) {
+        if (this.isPaused || this.isGameOver) return false;
+        
+        // Replays change the lane cover and scroll speed as they were changed when recorded
+        if (this.replayPlayer && songTime === null) return false;
+        
+        const used = this.applyHotkey(key);
+        if (used && this.replayRecording) {
+            this.replayRecording.hotkeys.push({ key: key, time: ReplayFormat.quantizeTime(this.lastSongTime) });
+        }
+        return used;
+    }
+
+    /**
+     * Apply a lane cover or scroll speed hotkey
+     * @returns {boolean} - Whether the key was used
+     */
+    applyHotkey(key) {
+        switch (key) {
+            case 'arrowup':
+                this.setLaneCover(this.modifiers.laneCover - GameModifiers.LANE_COVER_STEP);
+                return true;
+            case 'arrowdown':
+                this.setLaneCover(this.modifiers.laneCover + GameModifiers.LANE_COVER_STEP);
+                return true;
+            case '-':
+                this.setScrollSpeed(this.scrollSpeed.speed - ScrollMap.SPEED_STEP);
+                return true;
+            case '=':
+            case '+':
+                this.setScrollSpeed(this.scrollSpeed.speed + ScrollMap.SPEED_STEP);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Move the lane cover while playing; the score keeps the final height
+     */
+    setLaneCover(cover) {
+        this.modifiers.laneCover = GameModifiers.clampLaneCover(cover);
+        this.uiManager.showModifiers(this.getModifierLabels());
+    }
+
+    /**
+     * Change the scroll speed while playing; notes on screen move to their new positions
+     */
+    setScrollSpeed(speed) {
+        this.scrollSpeed.speed = ScrollMap.clampSpeed(speed);
+        this.noteSpawnOffset = this.getNoteTravelTime();
+        this.uiManager.showScrollSpeed(ScrollMap.formatSpeed(this.scrollSpeed));
+    }
+
     /**
      * Pause the game
      */
     pause() {
         this.isPaused = true;
-        this.youtubePlayer.pause();
+        this.player.pause();
         this.uiManager.togglePause(true);
     }
 
@@ -380,7 +1179,7 @@ class GameEngine {
      */
     resume() {
         this.isPaused = false;
-        this.youtubePlayer.play();
+        this.player.play();
         this.uiManager.togglePause(false);
     }
 
@@ -388,9 +1187,16 @@ class GameEngine {
      * Restart the game
      */
     async restart() {
+        // In practice mode Restart goes back to A instead of the start of the song
+        if (this.practice && this.practice.loopStart !== null && this.isRunning) {
+            this.isPaused = false;
+            this.uiManager.togglePause(false);
+            this.restartPracticeLoop();
+            return;
+        }
+        
         this.uiManager.togglePause(false);
-        const url = this.uiManager.getUrl();
-        await this.startGame(url, this.difficulty);
+        await this.startGame(this.currentUrl, this.difficulty, this.startOptions);
     }
 
     /**
@@ -399,15 +1205,29 @@ class GameEngine {
     quit() {
         this.stop();
         this.uiManager.togglePause(false);
+        
+        if (this.startOptions.onExit) {
+            this.startOptions.onExit(null);
+            return;
+        }
+        
         this.uiManager.showScreen('start');
     }
 
     /**
      * End the game
+     * @param {boolean} failed - The health gauge ran out: show the fail transition and
+     *                           failed results, without recording the score
      */
-    endGame() {
+    endGame(failed = false) {
         if (this.isGameOver) return;
         
+        // A practice loop keeps going until the player quits
+        if (!failed && this.practice && this.practice.loopEnd !== null) {
+            this.restartPracticeLoop();
+            return;
+        }
+        
         this.isGameOver = true;
         this.isRunning = false;
         
@@ -415,7 +1235,7 @@ class GameEngine {
         this.inputHandler.stop();
         
         // Stop video
-        this.youtubePlayer.pause();
+        this.player.pause();
         
         // Cancel animation frame
         if (this.animationFrameId) {
@@ -428,17 +1248,92 @@ class GameEngine {
             this.endTimeout = null;
         }
         
-        // Get stats and update history with score
-        const stats = this.scoringSystem.getStats();
+        // Get stats (tagged with the playback rate) and update history with score
+        const stats = {
+            ...this.scoringSystem.getStats(),
+            rate: this.playbackRate,
+            modifiers: this.modifiers,
+            failed: failed,
+            autoplay: Boolean(this.autoplayBot),
+            replay: Boolean(this.replayPlayer)
+        };
+        
+        // Test plays return to the caller without touching history
+        if (this.startOptions.onExit) {
+            this.startOptions.onExit(stats);
+            return;
+        }
+        
+        // Finished and failed plays can be downloaded as a replay (a watched replay can be again)
+        this.lastReplay = this.replayRecording ? this.createReplay(stats) : (this.replayPlayer ? this.startOptions.replay : null);
+        this.uiManager.setReplayAvailable(Boolean(this.lastReplay));
+        
+        // Failed plays don't count towards high scores
+        if (failed) {
+            this.uiManager.showFailed();
+            this.failTimeout = setTimeout(() => {
+                this.failTimeout = null;
+                this.uiManager.showResults(stats, this.getSeedInfo(), this.chartRating);
+            }, this.failTransitionTime * 1000);
+            return;
+        }
+        
+        // Practice, autoplay and replay plays are not recorded
+        if (this.practice) {
+            this.recordPracticeLoop();
+            this.uiManager.showResults(stats, this.getSeedInfo(), this.chartRating, this.practice.loops);
+            return;
+        }
+        if (this.getInputBot()) {
+            this.uiManager.showResults(stats, this.getSeedInfo(), this.chartRating);
+            return;
+        }
+        
+        // Update history with final score (local files have no history entry)
+        if (this.historyManager && !this.startOptions.localFile) {
+            this.historyManager.updateScore(this.currentUrl, stats.score, stats.rate, stats.modifiers);
+        }
         
-        // Update history with final score
-        if (this.historyManager) {
-            const url = this.uiManager.getUrl();
-            this.historyManager.updateScore(url, stats.score);
+        // Tie the score to the stored chart
+        if (this.chartStore && this.currentChartId) {
+            this.chartStore.recordScore(this.currentChartId, stats).catch(error => {
+                console.error('Failed to record chart score:', error);
+            });
         }
         
         // Show results
-        this.uiManager.showResults(stats);
+        this.uiManager.showResults(stats, this.getSeedInfo(), this.chartRating);
+    }
+
+    /**
+     * Build the replay of the play that just ended from its recorded inputs
+     */
+    createReplay(stats) {
+        const recording = this.replayRecording;
+        const localFile = this.startOptions.localFile;
+        
+        return ReplayFormat.create({
+            chart: this.currentChart,
+            videoId: localFile ? null : this.youtubePlayer.extractVideoId(this.currentUrl),
+            fileName: localFile ? localFile.name : null,
+            difficulty: this.difficulty,
+            seed: this.userSeed,
+            imported: Boolean(this.startOptions.chart),
+            rate: this.playbackRate,
+            modifiers: recording.modifiers,
+            scrollSpeed: recording.scrollSpeed,
+            calibrationOffset: recording.calibrationOffset,
+            inputs: recording.inputs,
+            hotkeys: recording.hotkeys,
+            stats: stats
+        });
+    }
+
+    /**
+     * Get the replay of the last finished play (null if it was not recorded)
+     */
+    getLastReplay() {
+        return this.lastReplay;
     }
 
     /**
@@ -457,8 +1352,16 @@ class GameEngine {
             this.endTimeout = null;
         }
         
+        if (this.failTimeout) {
+            clearTimeout(this.failTimeout);
+            this.failTimeout = null;
+        }
+        
         this.inputHandler.stop();
-        this.youtubePlayer.stop();
+        this.player.stop();
+        
+        // The chart editor and tap tempo share the YouTube player
+        this.player.setPlaybackRate(1);
     }
 
     /**
@@ -475,27 +1378,45 @@ class GameEngine {
      * Render the game
      */
     render() {
-        const currentTime = this.youtubePlayer.getCurrentTime();
-        const duration = this.youtubePlayer.getDuration();
+        const currentTime = this.player.getCurrentTime();
+        const duration = this.player.getDuration();
         
         const gameState = {
             lanes: this.lanes,
             notes: this.notes,
             combo: this.scoringSystem.getCombo(),
+            health: this.healthGauge.getHealth(),
+            modifiers: this.modifiers,
             currentTime: currentTime,
             duration: duration,
+            loop: this.getPracticeLoopVideoTimes(),
             frequencyData: null // Could add visualizer data here if available
         };
         
         this.renderer.render(gameState);
     }
 
+    /**
+     * Get the practice loop in video time for the progress bar
+     * @returns {object|null} - { start, end } (end is null while only A is set)
+     */
+    getPracticeLoopVideoTimes() {
+        if (!this.practice || this.practice.loopStart === null) return null;
+        
+        return {
+            start: this.practice.loopStart - this.getCalibrationOffset(),
+            end: this.practice.loopEnd === null ? null : this.practice.loopEnd - this.getCalibrationOffset()
+        };
+    }
+
     /**
      * Reset game state
      */
     reset() {
         this.notes = [];
         this.beatIndex = 0;
+        this.lastSongTime = 0;
+        this.pausedReleases.clear();
         this.isGameOver = false;
         this.isPaused = false;
         
@@ -505,10 +1426,30 @@ class GameEngine {
         }
         
         this.scoringSystem.reset();
+        this.healthGauge.reset();
         this.audioAnalyzer.reset();
         this.uiManager.reset();
     }
 
+    /**
+     * Get the seed used for the current chart
+     */
+    getSeedInfo() {
+        return {
+            isImported: Boolean(this.startOptions.chart),
+            userSeed: this.userSeed,
+            seed: this.seed,
+            hex: SeededRandom.formatSeed(this.seed)
+        };
+    }
+
+    /**
+     * Get the chart that was last played (for export)
+     */
+    getCurrentChart() {
+        return this.currentChart;
+    }
+
     /**
      * Set calibration offset
      */
@@ -521,13 +1462,23 @@ class GameEngine {
      */
     destroy() {
         this.stop();
+        this.renderer.canvas.removeEventListener('mousedown', this.handleCanvasMouseDown);
+        this.renderer.canvas.removeEventListener('contextmenu', this.handleCanvasContextMenu);
         this.renderer.destroy();
         this.inputHandler.destroy();
         this.audioAnalyzer.destroy();
         this.youtubePlayer.destroy();
+        if (this.localPlayer) {
+            this.localPlayer.destroy();
+        }
         this.uiManager.destroy();
     }
 }
 
+GameEngine.MIN_PRACTICE_LOOP = 1;      // Shortest practice loop in seconds
+GameEngine.PRACTICE_LOOP_TAIL = 0.5;   // Seconds played past B before looping, so the last notes are judged
+GameEngine.AUTOPLAY_LABEL = 'Auto';    // HUD badge and results tag of autoplay runs
+GameEngine.REPLAY_LABEL = 'Replay';    // HUD badge and results tag of watched replays
+
 // Export as global
 window.GameEngine = GameEngine;
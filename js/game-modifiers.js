@@ -0,0 +1,222 @@
+/**
+ * Game Modifiers Module
+ * Lane transforms applied to a chart's beats before they spawn (mirror, random, shuffle),
+ * rule modifiers that fail the song early (Sudden Death, Perfect Only) and visual
+ * modifiers (Hidden, Sudden, lane cover; drawn by Note.render and Renderer.render)
+ *
+ * Modifiers are a plain object, stored with scores:
+ * { lanes: 'none' | 'mirror' | 'random' | 'shuffle', laneSeed, noFail, suddenDeath, perfectOnly,
+ *   hidden, sudden, laneCover }
+ */
+class GameModifiers {
+    /**
+     * Fill in missing fields; random and shuffle get a fresh lane seed unless one is given
+     * (so a replay can reproduce the same lanes)
+     */
+    static resolve(modifiers = {}) {
+        const result = { ...GameModifiers.DEFAULTS, ...modifiers };
+
+        if (!GameModifiers.LANE_TRANSFORMS.includes(result.lanes)) {
+            result.lanes = 'none';
+        }
+        if (GameModifiers.isRandomized(result) && result.laneSeed === null) {
+            result.laneSeed = SeededRandom.hashString(SeededRandom.randomUserSeed());
+        }
+        if (!GameModifiers.isRandomized(result)) {
+            result.laneSeed = null;
+        }
+        result.laneCover = GameModifiers.clampLaneCover(result.laneCover);
+
+        return result;
+    }
+
+    /**
+     * Keep a lane cover height within 0 and MAX_LANE_COVER, on LANE_COVER_STEP steps
+     */
+    static clampLaneCover(height) {
+        const value = Number(height) || 0;
+        const steps = Math.round(value / GameModifiers.LANE_COVER_STEP);
+        const cover = Math.round(steps * GameModifiers.LANE_COVER_STEP * 100) / 100;
+        return Math.max(0, Math.min(GameModifiers.MAX_LANE_COVER, cover));
+    }
+
+    /**
+     * Check whether a lane transform depends on the lane seed
+     */
+    static isRandomized(modifiers) {
+        return modifiers.lanes === 'random' || modifiers.lanes === 'shuffle';
+    }
+
+    /**
+     * Move the beats to other lanes according to the lane transform
+     * @param {Array} beats - Beats sorted by time (as from ChartFormat.toBeats); not modified
+     * @returns {Array} - Transformed copies of the beats
+     */
+    static applyLaneTransform(beats, laneCount, modifiers) {
+        switch (modifiers.lanes) {
+            case 'mirror':
+                return beats.map(beat => ({ ...beat, lane: laneCount - 1 - beat.lane }));
+
+            case 'random': {
+                const permutation = GameModifiers.getRandomPermutation(laneCount, new SeededRandom(modifiers.laneSeed));
+                return beats.map(beat => ({ ...beat, lane: permutation[beat.lane] }));
+            }
+
+            case 'shuffle':
+                return GameModifiers.shuffleLanes(beats, laneCount, new SeededRandom(modifiers.laneSeed));
+
+            default:
+                return beats;
+        }
+    }
+
+    /**
+     * Get a random order of the lanes that is not the original order (Fisher-Yates)
+     * @returns {number[]} - New lane for each original lane
+     */
+    static getRandomPermutation(laneCount, rng) {
+        const lanes = Array.from({ length: laneCount }, (_, lane) => lane);
+        if (laneCount < 2) return lanes;
+
+        do {
+            for (let i = lanes.length - 1; i > 0; i--) {
+                const j = rng.nextInt(i + 1);
+                [lanes[i], lanes[j]] = [lanes[j], lanes[i]];
+            }
+        } while (lanes.every((lane, index) => lane === index));
+
+        return lanes;
+    }
+
+    /**
+     * Give every row (notes at the same time) new random lanes
+     * - Notes of a chord stay on different lanes
+     * - A note on the same lane as a note in the previous row stays a jack on that row's new lane
+     * - Other notes avoid the previous row's lanes when it is closer than JACK_WINDOW, so no
+     *   new jacks appear
+     * - Lanes still busy with a hold (or a note less than MIN_GAP ago) are not used
+     */
+    static shuffleLanes(beats, laneCount, rng) {
+        const result = [];
+        const freeAt = new Array(laneCount).fill(-Infinity);
+        let previousRow = null; // { time, laneMap: original lane -> new lane }
+
+        for (let start = 0; start < beats.length;) {
+            const time = beats[start].time;
+            let end = start;
+            while (end < beats.length && beats[end].time - time < GameModifiers.CHORD_TOLERANCE) end++;
+            const row = beats.slice(start, end);
+            start = end;
+
+            const used = new Set();
+            const laneMap = new Map();
+            const isFree = (lane) => !used.has(lane) && freeAt[lane] + GameModifiers.MIN_GAP <= time;
+            const closeToPrevious = previousRow && time - previousRow.time < GameModifiers.JACK_WINDOW;
+
+            // Jacks keep following their lane first
+            const jacks = previousRow ? row.filter(beat => previousRow.laneMap.has(beat.lane)) : [];
+            const others = row.filter(beat => !jacks.includes(beat));
+
+            for (const beat of jacks) {
+                const lane = previousRow.laneMap.get(beat.lane);
+                if (isFree(lane)) {
+                    laneMap.set(beat.lane, lane);
+                    used.add(lane);
+                }
+            }
+
+            for (const beat of [...jacks, ...others]) {
+                if (laneMap.has(beat.lane)) continue;
+
+                const previousLanes = closeToPrevious ? [...previousRow.laneMap.values()] : [];
+                const lanes = Array.from({ length: laneCount }, (_, lane) => lane);
+                const candidates = lanes.filter(lane => isFree(lane) && !previousLanes.includes(lane));
+                const fallback = lanes.filter(lane => isFree(lane));
+                const options = candidates.length > 0 ? candidates
+                    : fallback.length > 0 ? fallback
+                    : lanes.filter(lane => !used.has(lane));
+
+                const lane = rng.pick(options);
+                laneMap.set(beat.lane, lane);
+                used.add(lane);
+            }
+
+            for (const beat of row) {
+                const lane = laneMap.get(beat.lane);
+                freeAt[lane] = Math.max(freeAt[lane], beat.type === 'hold' ? beat.time + beat.duration : beat.time);
+                result.push({ ...beat, lane: lane });
+            }
+
+            previousRow = { time: time, laneMap: laneMap };
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether a judgement fails the song under the rule modifiers
+     * @param {string} result - 'perfect', 'good', 'miss' or 'mine'
+     */
+    static failsOn(modifiers, result) {
+        if (modifiers.suddenDeath && result === 'miss') return true;
+        if (modifiers.perfectOnly && (result === 'good' || result === 'miss')) return true;
+        return false;
+    }
+
+    /**
+     * Get the labels of the active modifiers, e.g. ['Mirror', 'Sudden Death']
+     * @param {boolean} short - Use abbreviations (e.g. ['MR', 'SD']) for score tags
+     */
+    static getLabels(modifiers, short = false) {
+        if (!modifiers) return [];
+
+        const labels = [];
+        if (modifiers.lanes && modifiers.lanes !== 'none') {
+            labels.push(GameModifiers.LABELS[modifiers.lanes][short ? 1 : 0]);
+        }
+        for (const flag of ['noFail', 'suddenDeath', 'perfectOnly', 'hidden', 'sudden']) {
+            if (modifiers[flag]) {
+                labels.push(GameModifiers.LABELS[flag][short ? 1 : 0]);
+            }
+        }
+        if (modifiers.laneCover > 0) {
+            const percent = Math.round(modifiers.laneCover * 100);
+            labels.push(short ? `LC${percent}` : `Cover ${percent}%`);
+        }
+        return labels;
+    }
+}
+
+GameModifiers.LANE_TRANSFORMS = ['none', 'mirror', 'random', 'shuffle'];
+
+GameModifiers.DEFAULTS = {
+    lanes: 'none',
+    laneSeed: null,
+    noFail: false,
+    suddenDeath: false,
+    perfectOnly: false,
+    hidden: false,
+    sudden: false,
+    laneCover: 0        // Share of the lanes (from the top) hidden behind the cover
+};
+
+// [full label, short label]
+GameModifiers.LABELS = {
+    mirror: ['Mirror', 'MR'],
+    random: ['Random', 'RD'],
+    shuffle: ['Shuffle', 'SH'],
+    noFail: ['No Fail', 'NF'],
+    suddenDeath: ['Sudden Death', 'SD'],
+    perfectOnly: ['Perfect Only', 'PF'],
+    hidden: ['Hidden', 'HD'],
+    sudden: ['Sudden', 'SU']
+};
+
+GameModifiers.CHORD_TOLERANCE = 0.005; // Notes closer than this are one row
+GameModifiers.JACK_WINDOW = 0.5;       // Rows closer than this don't get new jacks from shuffling
+GameModifiers.MIN_GAP = 0.1;           // Seconds a lane stays busy after a note (or a hold's end)
+GameModifiers.MAX_LANE_COVER = 0.8;
+GameModifiers.LANE_COVER_STEP = 0.05;  // Change per lane cover key press
+
+// Export as global
+window.GameModifiers = GameModifiers;
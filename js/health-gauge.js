@@ -0,0 +1,98 @@
+/**
+ * Health Gauge Module
+ * Life gauge that drains on misses and mines and refills on hits; the song is
+ * failed when it runs out (unless No Fail is on)
+ */
+class HealthGauge {
+    constructor() {
+        this.settings = HealthGauge.DIFFICULTY_SETTINGS.medium;
+        this.health = 1;
+    }
+
+    /**
+     * Use the gauge settings of a difficulty (see getSettings)
+     */
+    configure(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Refill the gauge
+     */
+    reset() {
+        this.health = 1;
+    }
+
+    /**
+     * Apply a judgement: 'perfect', 'good', 'miss' or 'mine'
+     * @returns {number} - Health left (0 to 1)
+     */
+    apply(result) {
+        const change = this.settings[result] || 0;
+        this.health = Math.max(0, Math.min(1, this.health + change));
+        return this.health;
+    }
+
+    /**
+     * Get the health left (0 to 1)
+     */
+    getHealth() {
+        return this.health;
+    }
+
+    /**
+     * Check whether the gauge has run out
+     */
+    isEmpty() {
+        return this.health <= 0;
+    }
+
+    /**
+     * Get the gauge settings for a difficulty
+     * Custom difficulties scale the medium drain by their healthDrain; imported charts
+     * with other difficulty names use medium
+     * @param {DifficultyProfiles} difficultyProfiles - Optional, to look up custom difficulties
+     */
+    static getSettings(difficulty, difficultyProfiles = null) {
+        if (HealthGauge.DIFFICULTY_SETTINGS[difficulty]) {
+            return HealthGauge.DIFFICULTY_SETTINGS[difficulty];
+        }
+
+        const base = HealthGauge.DIFFICULTY_SETTINGS.medium;
+        const profile = difficultyProfiles && DifficultyProfiles.isCustom(difficulty)
+            ? difficultyProfiles.getProfile(difficulty)
+            : null;
+        if (!profile) return base;
+
+        return {
+            ...base,
+            miss: base.miss * profile.healthDrain,
+            mine: base.mine * profile.healthDrain
+        };
+    }
+}
+
+// Health gained (positive) or lost (negative) per judgement, out of a full gauge of 1
+HealthGauge.DIFFICULTY_SETTINGS = {
+    easy: {
+        perfect: 0.03,
+        good: 0.015,
+        miss: -0.06,
+        mine: -0.04
+    },
+    medium: {
+        perfect: 0.02,
+        good: 0.01,
+        miss: -0.08,
+        mine: -0.06
+    },
+    hard: {
+        perfect: 0.015,
+        good: 0.005,
+        miss: -0.1,
+        mine: -0.08
+    }
+};
+
+// Export as global
+window.HealthGauge = HealthGauge;
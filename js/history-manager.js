@@ -74,7 +74,7 @@ class HistoryManager {
     /**
      * Add a video to history
      */
-    async addToHistory(url, difficulty, score = null) {
+    async addToHistory(url, difficulty, score = null, seed = '', laneCount = KeyModes.DEFAULT_LANE_COUNT) {
         const videoId = this.extractVideoId(url);
         if (!videoId) return;
 
@@ -88,6 +88,9 @@ class HistoryManager {
             historyItem = this.history[existingIndex];
             historyItem.lastPlayed = Date.now();
             historyItem.playCount = (historyItem.playCount || 1) + 1;
+            historyItem.difficulty = difficulty;
+            historyItem.seed = seed;
+            historyItem.laneCount = laneCount;
             if (score !== null && (historyItem.highScore === undefined || score > historyItem.highScore)) {
                 historyItem.highScore = score;
             }
@@ -103,6 +106,8 @@ class HistoryManager {
                 url: url,
                 title: title,
                 difficulty: difficulty,
+                seed: seed,
+                laneCount: laneCount,
                 lastPlayed: Date.now(),
                 playCount: 1,
                 highScore: score
@@ -123,8 +128,10 @@ class HistoryManager {
 
     /**
      * Update score for the most recent play
+     * @param {number} rate - Playback rate the score was set at (kept with the high score)
+     * @param {object} modifiers - Game modifiers the score was set with (see GameModifiers)
      */
-    updateScore(url, score) {
+    updateScore(url, score, rate = 1, modifiers = null) {
         const videoId = this.extractVideoId(url);
         if (!videoId) return;
 
@@ -132,11 +139,31 @@ class HistoryManager {
         if (item) {
             if (item.highScore === undefined || score > item.highScore) {
                 item.highScore = score;
+                item.highScoreRate = rate;
+                item.highScoreModifiers = modifiers;
                 this.saveHistory();
             }
         }
     }
 
+    /**
+     * Store the difficulty rating of the chart last played for a video (see ChartAnalyzer)
+     */
+    updateRating(url, rating) {
+        const videoId = this.extractVideoId(url);
+        if (!videoId) return;
+
+        const item = this.history.find(h => h.videoId === videoId);
+        if (item) {
+            item.rating = {
+                stars: rating.stars,
+                averageNps: rating.averageNps,
+                peakNps: rating.peakNps
+            };
+            this.saveHistory();
+        }
+    }
+
     /**
      * Get all history items
      */
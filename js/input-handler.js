@@ -4,29 +4,18 @@
  */
 class InputHandler {
     constructor() {
-        // Key bindings (lane index -> key)
-        this.keyBindings = {
-            'd': 0,
-            'f': 1,
-            'j': 2,
-            'k': 3
-        };
-        
-        // Reverse bindings (lane index -> key)
-        this.laneToKey = ['d', 'f', 'j', 'k'];
-        
-        // Current key states
-        this.keyStates = {
-            d: false,
-            f: false,
-            j: false,
-            k: false
-        };
+        // Key bindings (key -> lane index), reverse bindings (lane index -> key)
+        // and current key states, set up for the default key mode
+        this.keyBindings = {};
+        this.laneToKey = [];
+        this.keyStates = {};
+        this.setKeyBindings(KeyModes.get(KeyModes.DEFAULT_LANE_COUNT).keys);
         
         // Callbacks
         this.onKeyPress = null;    // Called when a lane key is pressed
         this.onKeyRelease = null;  // Called when a lane key is released
         this.onPause = null;       // Called when pause key is pressed
+        this.onHotkey = null;      // Called with other keys pressed during play; returns true if it used the key
         
         // Bound event handlers
         this.boundKeyDown = this.handleKeyDown.bind(this);
@@ -86,6 +75,12 @@ class InputHandler {
             if (this.onKeyPress) {
                 this.onKeyPress(lane, performance.now());
             }
+            return;
+        }
+        
+        // Other keys may be hotkeys (e.g. lane cover height)
+        if (this.onHotkey && this.onHotkey(key)) {
+            event.preventDefault();
         }
     }
 
@@ -134,12 +129,28 @@ class InputHandler {
         this.onPause = callback;
     }
 
+    /**
+     * Set callback for hotkeys (keys other than lane keys and pause)
+     */
+    setHotkeyCallback(callback) {
+        this.onHotkey = callback;
+    }
+
+    /**
+     * Check if a key is used by the game (lane keys and pause)
+     */
+    isGameKey(key) {
+        const lowerKey = key.toLowerCase();
+        return lowerKey === 'escape' || this.keyBindings.hasOwnProperty(lowerKey);
+    }
+
     /**
      * Update key bindings
      */
     setKeyBindings(bindings) {
         this.keyBindings = {};
         this.laneToKey = [];
+        this.keyStates = {};
         
         bindings.forEach((key, index) => {
             const lowerKey = key.toLowerCase();
@@ -164,6 +175,7 @@ class InputHandler {
         this.onKeyPress = null;
         this.onKeyRelease = null;
         this.onPause = null;
+        this.onHotkey = null;
     }
 }
 
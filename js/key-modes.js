@@ -0,0 +1,78 @@
+/**
+ * Key Modes Module
+ * Supported lane counts (4K-8K) with their default key layouts and lane colors
+ */
+class KeyModes {
+    /**
+     * Get the key mode for a lane count
+     * @returns {object} - { laneCount, keys, colors }
+     */
+    static get(laneCount) {
+        const mode = KeyModes.MODES[laneCount];
+        if (!mode) {
+            throw new Error(`Unsupported key mode: ${laneCount}K (supported: ${KeyModes.LANE_COUNTS.join(', ')})`);
+        }
+
+        return {
+            laneCount: laneCount,
+            keys: mode.keys.slice(),
+            colors: mode.colors.slice()
+        };
+    }
+
+    /**
+     * Check whether a lane count is supported
+     */
+    static isSupported(laneCount) {
+        return KeyModes.LANE_COUNTS.includes(laneCount);
+    }
+
+    /**
+     * Get the lanes played by the left and right hand (an odd middle lane belongs to neither)
+     */
+    static getHands(laneCount) {
+        const half = Math.floor(laneCount / 2);
+        const lanes = Array.from({ length: laneCount }, (_, lane) => lane);
+        return {
+            left: lanes.slice(0, half),
+            right: lanes.slice(laneCount - half)
+        };
+    }
+
+    /**
+     * Get a display label for a key
+     */
+    static getKeyLabel(key) {
+        return key === ' ' ? 'Space' : key.toUpperCase();
+    }
+}
+
+// Default key layouts and lane colors per lane count
+KeyModes.MODES = {
+    4: {
+        keys: ['d', 'f', 'j', 'k'],
+        colors: ['#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3']
+    },
+    5: {
+        keys: ['d', 'f', ' ', 'j', 'k'],
+        colors: ['#ff6b6b', '#4ecdc4', '#a29bfe', '#ffe66d', '#95e1d3']
+    },
+    6: {
+        keys: ['s', 'd', 'f', 'j', 'k', 'l'],
+        colors: ['#fd79a8', '#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3', '#74b9ff']
+    },
+    7: {
+        keys: ['s', 'd', 'f', ' ', 'j', 'k', 'l'],
+        colors: ['#fd79a8', '#ff6b6b', '#4ecdc4', '#a29bfe', '#ffe66d', '#95e1d3', '#74b9ff']
+    },
+    8: {
+        keys: ['a', 's', 'd', 'f', 'j', 'k', 'l', ';'],
+        colors: ['#fdcb6e', '#fd79a8', '#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3', '#74b9ff', '#55efc4']
+    }
+};
+
+KeyModes.LANE_COUNTS = [4, 5, 6, 7, 8];
+KeyModes.DEFAULT_LANE_COUNT = 4;
+
+// Export as global
+window.KeyModes = KeyModes;
@@ -3,7 +3,7 @@
  * Represents a single lane where notes travel
  */
 class Lane {
-    constructor(index, x, width, height, hitZoneY) {
+    constructor(index, x, width, height, hitZoneY, keyMode = KeyModes.get(KeyModes.DEFAULT_LANE_COUNT)) {
         this.index = index;
         this.x = x;
         this.width = width;
@@ -19,16 +19,9 @@ class Lane {
         this.pressAlpha = 0;
         this.hitFlash = 0;
         
-        // Lane colors
-        this.colors = [
-            '#ff6b6b', // Red
-            '#4ecdc4', // Teal
-            '#ffe66d', // Yellow
-            '#95e1d3'  // Mint
-        ];
-        
-        // Key bindings
-        this.keys = ['d', 'f', 'j', 'k'];
+        // Lane colors and key bindings of the key mode
+        this.colors = keyMode.colors;
+        this.keys = keyMode.keys;
     }
 
     /**
@@ -81,7 +74,7 @@ class Lane {
      * Get lane key
      */
     getKey() {
-        return this.keys[this.index].toUpperCase();
+        return KeyModes.getKeyLabel(this.keys[this.index]);
     }
 
     /**
@@ -137,12 +130,13 @@ class Lane {
         // Reset shadow
         ctx.shadowBlur = 0;
         
-        // Key label
+        // Key label (smaller for word labels like "Space")
+        const key = this.getKey();
         ctx.fillStyle = `rgba(255, 255, 255, ${0.5 + this.pressAlpha * 0.5})`;
-        ctx.font = 'bold 24px Arial';
+        ctx.font = key.length > 1 ? 'bold 14px Arial' : 'bold 24px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(this.getKey(), this.x + this.width / 2, hitZoneTop + this.hitZoneHeight / 2);
+        ctx.fillText(key, this.x + this.width / 2, hitZoneTop + this.hitZoneHeight / 2);
     }
 
     /**
@@ -0,0 +1,202 @@
+/**
+ * Local Media Player Module
+ * Plays a user-supplied audio/video file through an <video> element
+ * with the same interface GameEngine uses for YouTubePlayerManager
+ */
+class LocalMediaPlayer {
+    constructor() {
+        this.container = document.getElementById('youtube-container');
+        this.media = document.getElementById('local-media');
+        this.file = null;
+        this.objectUrl = null;
+        this.isReady = false;
+        this.isPlaying = false;
+        this.duration = 0;
+        this.onStateChangeCallback = null;
+
+        this.media.addEventListener('play', () => this.emitState(LocalMediaPlayer.PlayerState.PLAYING));
+        this.media.addEventListener('pause', () => {
+            if (!this.media.ended) this.emitState(LocalMediaPlayer.PlayerState.PAUSED);
+        });
+        this.media.addEventListener('ended', () => this.emitState(LocalMediaPlayer.PlayerState.ENDED));
+    }
+
+    /**
+     * Nothing to initialize (kept for parity with YouTubePlayerManager)
+     */
+    init() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Check whether a file looks like playable audio/video
+     */
+    static isSupportedFile(file) {
+        return /^(audio|video)\//.test(file.type) || /\.(mp3|ogg|oga|wav|flac|m4a|mp4|webm)$/i.test(file.name);
+    }
+
+    /**
+     * Load a local file into the media element
+     */
+    loadFile(file) {
+        return new Promise((resolve, reject) => {
+            this.unload();
+
+            this.file = file;
+            this.objectUrl = URL.createObjectURL(file);
+
+            const onLoaded = () => {
+                cleanup();
+                this.isReady = true;
+                this.duration = this.media.duration;
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Cannot play "${file.name}" in this browser`));
+            };
+            const cleanup = () => {
+                this.media.removeEventListener('loadedmetadata', onLoaded);
+                this.media.removeEventListener('error', onError);
+            };
+
+            this.media.addEventListener('loadedmetadata', onLoaded);
+            this.media.addEventListener('error', onError);
+
+            // Show the video (or hide the player box entirely for audio-only files)
+            const isVideo = file.type.startsWith('video/') || /\.(mp4|webm)$/i.test(file.name);
+            this.container.classList.add('local-mode');
+            this.container.classList.toggle('audio-only', !isVideo);
+
+            this.media.src = this.objectUrl;
+            this.media.load();
+        });
+    }
+
+    /**
+     * Release the current file and hand the player box back to YouTube
+     */
+    unload() {
+        this.media.pause();
+        this.media.removeAttribute('src');
+        this.media.load();
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        this.container.classList.remove('local-mode', 'audio-only');
+        this.file = null;
+        this.isReady = false;
+        this.isPlaying = false;
+        this.duration = 0;
+    }
+
+    /**
+     * Notify state change listeners
+     */
+    emitState(state) {
+        this.isPlaying = state === LocalMediaPlayer.PlayerState.PLAYING;
+        if (this.onStateChangeCallback) {
+            this.onStateChangeCallback({ data: state });
+        }
+    }
+
+    /**
+     * Play the media
+     */
+    play() {
+        if (this.isReady) {
+            this.media.play().catch(error => console.error('Failed to play local media:', error));
+        }
+    }
+
+    /**
+     * Pause the media
+     */
+    pause() {
+        if (this.isReady) {
+            this.media.pause();
+        }
+    }
+
+    /**
+     * Stop the media and rewind
+     */
+    stop() {
+        if (this.isReady) {
+            this.media.pause();
+            this.media.currentTime = 0;
+        }
+    }
+
+    /**
+     * Seek to specific time
+     */
+    seekTo(seconds) {
+        if (this.isReady) {
+            this.media.currentTime = seconds;
+        }
+    }
+
+    /**
+     * Set the playback rate (1 = normal speed, pitch is kept)
+     */
+    setPlaybackRate(rate) {
+        this.media.playbackRate = rate;
+    }
+
+    /**
+     * Get current playback time
+     */
+    getCurrentTime() {
+        return this.isReady ? this.media.currentTime : 0;
+    }
+
+    /**
+     * Get media duration
+     */
+    getDuration() {
+        return this.duration;
+    }
+
+    /**
+     * Set volume (0-100)
+     */
+    setVolume(volume) {
+        this.media.volume = volume / 100;
+    }
+
+    /**
+     * Check if media is currently playing
+     */
+    isVideoPlaying() {
+        return this.isPlaying;
+    }
+
+    /**
+     * Set callback for state changes
+     */
+    onStateChange(callback) {
+        this.onStateChangeCallback = callback;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.unload();
+        this.onStateChangeCallback = null;
+    }
+}
+
+// Same values as YT.PlayerState so callers can treat both players alike
+LocalMediaPlayer.PlayerState = {
+    ENDED: 0,
+    PLAYING: 1,
+    PAUSED: 2
+};
+
+// Export as global
+window.LocalMediaPlayer = LocalMediaPlayer;
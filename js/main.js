@@ -6,6 +6,9 @@
 // Global game instance
 let game = null;
 let historyManager = null;
+let tempoManager = null;
+let difficultyProfiles = null;
+let chartStore = null;
 
 /**
  * Initialize the game when DOM is ready
@@ -18,15 +21,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         const canvas = document.getElementById('game-canvas');
         const renderer = new Renderer(canvas);
         const youtubePlayer = new YouTubePlayerManager();
+        const localPlayer = new LocalMediaPlayer();
         const audioAnalyzer = new AudioAnalyzer();
         const inputHandler = new InputHandler();
         const scoringSystem = new ScoringSystem();
         const uiManager = new UIManager();
         
+        // Create custom difficulty profiles (shared by the start screen and the chart generator)
+        difficultyProfiles = new DifficultyProfiles();
+        uiManager.setDifficultyProfiles(difficultyProfiles);
+        audioAnalyzer.difficultyProfiles = difficultyProfiles;
+        
         // Create history manager
         historyManager = new HistoryManager();
         uiManager.setHistoryManager(historyManager);
         
+        // Create tempo manager (tapped BPM/offset per video)
+        tempoManager = new TempoManager();
+        
+        // Create chart store (every played or imported chart, in IndexedDB)
+        chartStore = new ChartStore();
+        uiManager.setChartStore(chartStore);
+        
         // Create game engine
         game = new GameEngine(
             renderer,
@@ -37,21 +53,63 @@ document.addEventListener('DOMContentLoaded', async () => {
             uiManager
         );
         
-        // Store history manager reference in game
+        // Store history manager, tempo manager, chart store, difficulty profile and local file player references in game
         game.historyManager = historyManager;
+        game.tempoManager = tempoManager;
+        game.chartStore = chartStore;
+        game.difficultyProfiles = difficultyProfiles;
+        game.localPlayer = localPlayer;
         
         // Initialize game engine
         await game.init();
         
+        // Create chart editor (shares the YouTube player and game pipeline)
+        const chartEditor = new ChartEditor(
+            document.getElementById('editor-canvas'),
+            youtubePlayer,
+            uiManager
+        );
+        
+        chartEditor.setCallbacks({
+            onTestPlay: async (chart, startTime) => {
+                await game.startGame(chartEditor.url, chart.metadata.difficulty, {
+                    chart: chart,
+                    startTime: startTime,
+                    scrollSpeed: uiManager.getScrollSpeed(),
+                    onExit: (stats) => chartEditor.returnFromTestPlay(stats)
+                });
+            },
+            onSave: (chart) => {
+                // Saved charts become the loaded chart for the Play button
+                uiManager.setLoadedChart(chart);
+                uiManager.downloadFile(ChartFormat.getFileName(chart), ChartFormat.serialize(chart));
+            },
+            onExit: () => {
+                youtubePlayer.stop();
+                uiManager.showScreen('start');
+            }
+        });
+        
+        // Create tap tempo tool
+        const tapTempo = new TapTempo(youtubePlayer, uiManager, tempoManager);
+        tapTempo.setCallbacks({
+            onExit: () => {
+                uiManager.showScreen('start');
+            }
+        });
+        
         // Set up UI callbacks
         uiManager.setCallbacks({
-            onStart: async (url, difficulty, calibrationOffset) => {
-                // Add to history when starting
-                await historyManager.addToHistory(url, difficulty);
-                uiManager.renderHistory();
+            onStart: async (url, difficulty, calibrationOffset, options) => {
+                // Add to history when starting (local files, practice and autoplay runs are not kept in history)
+                if (url && !options.practice && !options.autoplay) {
+                    const laneCount = options.chart ? options.chart.laneCount : options.laneCount;
+                    await historyManager.addToHistory(url, difficulty, null, options.seed, laneCount);
+                    uiManager.renderHistory();
+                }
                 // Set calibration offset before starting game
                 game.calibrationOffset = calibrationOffset;
-                await game.startGame(url, difficulty);
+                await game.startGame(url, difficulty, options);
             },
             onResume: () => {
                 game.resume();
@@ -62,6 +120,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             onQuit: () => {
                 game.quit();
                 uiManager.renderHistory();
+                uiManager.renderSavedCharts();
             },
             onPlayAgain: async () => {
                 await game.restart();
@@ -69,10 +128,60 @@ document.addEventListener('DOMContentLoaded', async () => {
             onNewSong: () => {
                 game.quit();
                 uiManager.renderHistory();
+                uiManager.renderSavedCharts();
             },
-            onHistorySelect: (url, difficulty) => {
+            onHistorySelect: (url, difficulty, seed, laneCount) => {
                 // Just populate the form, user still needs to click Play
                 console.log(`Selected from history: ${url}`);
+            },
+            onExportChart: (format) => {
+                const chart = uiManager.loadedChart || game.getCurrentChart();
+                if (!chart) {
+                    uiManager.showError('No chart to export yet. Play a song or import a chart first.');
+                    return;
+                }
+                
+                try {
+                    if (format === 'osu') {
+                        uiManager.downloadFile(ChartFormat.getFileName(chart, '.osu'), OsuManiaFormat.serialize(chart), 'text/plain');
+                    } else if (format === 'sm') {
+                        uiManager.downloadFile(ChartFormat.getFileName(chart, '.sm'), StepManiaFormat.serialize(chart), 'text/plain');
+                    } else {
+                        uiManager.downloadFile(ChartFormat.getFileName(chart), ChartFormat.serialize(chart));
+                    }
+                    uiManager.clearError();
+                } catch (error) {
+                    uiManager.showError(error.message);
+                }
+            },
+            onOpenEditor: (url, difficulty, laneCount) => {
+                // Edit the loaded chart, or the last played chart if it is for this video
+                const videoId = youtubePlayer.extractVideoId(url);
+                const lastChart = game.getCurrentChart();
+                let chart = uiManager.loadedChart ||
+                    (lastChart && lastChart.videoId === videoId ? lastChart : null);
+                
+                // Start new charts on the tapped tempo map if one was measured
+                const tempoMap = tempoManager.getTempoMap(videoId);
+                if (!chart && tempoMap) {
+                    chart = ChartFormat.create({ videoId, difficulty, laneCount, timingPoints: tempoMap.points });
+                }
+                chartEditor.open(url, chart, difficulty, laneCount);
+            },
+            onOpenTapTempo: (url, calibrationOffset) => {
+                tapTempo.open(url, calibrationOffset);
+            },
+            onLoadReplay: async (replay) => {
+                await watchReplay(replay);
+            },
+            onWatchReplay: async () => {
+                await watchReplay(game.getLastReplay());
+            },
+            onDownloadReplay: () => {
+                const replay = game.getLastReplay();
+                if (replay) {
+                    uiManager.downloadFile(ReplayFormat.getFileName(replay), ReplayFormat.serialize(replay));
+                }
             }
         });
         
@@ -86,6 +195,55 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+/**
+ * Play a replay back on the chart and song it was recorded on
+ * The chart is the last played or loaded chart, a stored chart with the same hash or,
+ * for generated charts, generated again from the replay's seed (GameEngine checks the hash)
+ */
+async function watchReplay(replay) {
+    const uiManager = game.uiManager;
+    const fail = (message) => {
+        uiManager.showScreen('start');
+        uiManager.showError(message);
+    };
+    
+    const hash = replay.chart.hash;
+    let chart = [game.getCurrentChart(), uiManager.loadedChart]
+        .find(candidate => candidate && ChartStore.hashChart(candidate) === hash) || null;
+    if (!chart) {
+        try {
+            const record = await chartStore.findChartByHash(hash);
+            chart = record ? record.chart : null;
+        } catch (error) {
+            console.error('Failed to look up the replay chart:', error);
+        }
+    }
+    if (!chart && replay.chart.imported) {
+        fail('Import the chart this replay was recorded on first');
+        return;
+    }
+    
+    // Local files can't be found again, so the player picks the same file
+    const { videoId, fileName } = replay.song;
+    const localFile = videoId ? null : uiManager.localFile;
+    if (!videoId && (!localFile || localFile.name !== fileName)) {
+        fail(`Choose "${fileName}" as the local file first to watch this replay`);
+        return;
+    }
+    
+    const settings = replay.settings;
+    await game.startGame(videoId ? `https://www.youtube.com/watch?v=${videoId}` : null, replay.chart.difficulty, {
+        chart: chart,
+        seed: replay.chart.seed,
+        laneCount: replay.chart.laneCount,
+        localFile: localFile,
+        rate: settings.rate,
+        modifiers: settings.modifiers,
+        scrollSpeed: settings.scrollSpeed,
+        replay: replay
+    });
+}
+
 /**
  * Add sample URLs for easy testing
  */
@@ -120,8 +278,7 @@ document.addEventListener('visibilitychange', () => {
 document.addEventListener('keydown', (e) => {
     // Prevent default for game keys only during gameplay
     if (game && game.isRunning) {
-        const gameKeys = ['d', 'f', 'j', 'k', 'D', 'F', 'J', 'K', 'Escape'];
-        if (gameKeys.includes(e.key)) {
+        if (game.inputHandler.isGameKey(e.key)) {
             e.preventDefault();
         }
     }
@@ -3,10 +3,13 @@
  * Represents a single note in the game
  */
 class Note {
-    constructor(lane, hitTime, intensity = 1) {
-        this.lane = lane;           // Lane index (0-3)
+    constructor(lane, hitTime, intensity = 1, type = 'tap', duration = 0, colors = KeyModes.get(KeyModes.DEFAULT_LANE_COUNT).colors) {
+        this.lane = lane;           // Lane index
         this.hitTime = hitTime;     // Time when note should be hit
         this.intensity = intensity; // Visual intensity (affects size/glow)
+        this.type = type;           // 'tap', 'hold' or 'mine' (must not be pressed)
+        this.duration = type === 'hold' ? duration : 0;
+        this.endTime = hitTime + this.duration; // Time when a hold should be released
         
         // Position and dimensions
         this.x = 0;
@@ -16,44 +19,60 @@ class Note {
         this.radius = 10;
         
         // State
-        this.status = 'active'; // 'active', 'hit', 'missed', 'removed'
+        this.status = 'active'; // 'active', 'holding', 'hit', 'missed', 'removed'
         this.hitResult = null;  // 'perfect', 'good', null
         
+        // Hold state
+        this.tailY = 0;         // Y position of the hold's end
+        this.nextTickTime = 0;  // Next hold tick to award while held
+        this.tickInterval = 0;  // Seconds between hold ticks
+        
+        // Share of the way from spawn to the hit zone (0 to 1, past 1 once it passes)
+        this.progress = 0;
+        
         // Animation
         this.alpha = 1;
         this.scale = 1;
         this.glowIntensity = 0;
         
-        // Visual properties per lane
-        this.colors = [
-            '#ff6b6b', // Lane 0 - Red
-            '#4ecdc4', // Lane 1 - Teal
-            '#ffe66d', // Lane 2 - Yellow
-            '#95e1d3'  // Lane 3 - Mint
-        ];
+        // Lane colors of the key mode
+        this.colors = colors;
     }
 
     /**
      * Update note position based on current time
+     * @param {number} travelDistance - Scroll distance from spawn to the hit zone (see ScrollMap)
+     * @param {ScrollMap} scrollMap - Scroll velocity of the chart; without one notes scroll at 1x
      */
-    update(currentTime, travelTime, hitZoneY, laneX, laneWidth, spawnY) {
-        // Calculate time until hit
+    update(currentTime, travelDistance, hitZoneY, laneX, laneWidth, spawnY, scrollMap = null) {
+        // Calculate time and scroll distance until hit
         const timeUntilHit = this.hitTime - currentTime;
-        const progress = 1 - (timeUntilHit / travelTime);
+        const distanceTo = (time) => scrollMap ? scrollMap.getDistance(currentTime, time) : time - currentTime;
+        const progress = 1 - (distanceTo(this.hitTime) / travelDistance);
+        this.progress = progress;
         
         // Calculate Y position (spawn at top, travel to hit zone)
         this.y = spawnY + (hitZoneY - spawnY) * progress;
         
+        // Hold tail follows the end time; a held head stays on the hit zone
+        if (this.isHold()) {
+            const endProgress = 1 - (distanceTo(this.endTime) / travelDistance);
+            this.tailY = spawnY + (hitZoneY - spawnY) * endProgress;
+            if (this.status === 'holding') {
+                this.y = hitZoneY;
+            }
+        }
+        
         // Calculate X position (center in lane)
         this.x = laneX + (laneWidth - this.width) / 2;
         
-        // Check if note was missed
-        if (timeUntilHit < -0.15 && this.status === 'active') {
+        // Check if note was missed (letting a mine pass is not a miss)
+        if (timeUntilHit < -0.15 && this.status === 'active' && !this.isMine()) {
             this.status = 'missed';
         }
         
         // Remove notes that are too far past the hit zone
-        if (timeUntilHit < -0.5) {
+        if (this.endTime - currentTime < -0.5 && this.status !== 'holding') {
             this.status = 'removed';
         }
         
@@ -66,10 +85,12 @@ class Note {
             }
         }
         
-        // Update miss animation
+        // Update miss animation (missed holds stay dimmed until their end passes)
         if (this.status === 'missed') {
             this.alpha -= 0.05;
-            if (this.alpha <= 0) {
+            if (this.isHold()) {
+                this.alpha = Math.max(0.4, this.alpha);
+            } else if (this.alpha <= 0) {
                 this.status = 'removed';
             }
         }
@@ -89,6 +110,53 @@ class Note {
         this.hitResult = result;
     }
 
+    /**
+     * Mark a mine as set off by a press
+     */
+    explode() {
+        this.status = 'hit';
+        this.hitResult = 'mine';
+    }
+
+    /**
+     * Start holding a hold note after its head was hit
+     */
+    startHold(result, tickInterval) {
+        this.status = 'holding';
+        this.hitResult = result;
+        this.tickInterval = tickInterval;
+        this.nextTickTime = this.hitTime + tickInterval;
+    }
+
+    /**
+     * Finish a hold note (released in time or held to the end)
+     */
+    completeHold(result) {
+        this.status = 'hit';
+        this.hitResult = result;
+    }
+
+    /**
+     * Check if this is a hold note
+     */
+    isHold() {
+        return this.type === 'hold';
+    }
+
+    /**
+     * Check if this is a mine
+     */
+    isMine() {
+        return this.type === 'mine';
+    }
+
+    /**
+     * Check if a hold note is currently being held
+     */
+    isHolding() {
+        return this.status === 'holding';
+    }
+
     /**
      * Mark note as missed
      */
@@ -117,16 +185,50 @@ class Note {
         return this.colors[this.lane] || '#ffffff';
     }
 
+    /**
+     * Get how visible the note is under the Hidden and Sudden modifiers (0 to 1)
+     * Hidden fades notes out as they approach the hit zone, Sudden fades them in late;
+     * notes being held or already judged are always shown
+     * @param {object} modifiers - Game modifiers (see GameModifiers)
+     */
+    getModifierAlpha(modifiers) {
+        if (!modifiers || this.status !== 'active') return 1;
+        
+        const fade = (from, to) => Math.max(0, Math.min(1, (this.progress - from) / (to - from)));
+        let alpha = 1;
+        if (modifiers.hidden) {
+            alpha *= 1 - fade(...Note.HIDDEN_FADE);
+        }
+        if (modifiers.sudden) {
+            alpha *= fade(...Note.SUDDEN_FADE);
+        }
+        return alpha;
+    }
+
     /**
      * Render the note
+     * @param {object} modifiers - Optional game modifiers for Hidden/Sudden
      */
-    render(ctx) {
+    render(ctx, modifiers = null) {
+        const modifierAlpha = this.getModifierAlpha(modifiers);
+        if (modifierAlpha <= 0) return;
+        
+        if (this.isMine()) {
+            this.renderMine(ctx, modifierAlpha);
+            return;
+        }
+        
         ctx.save();
         
         const color = this.getColor();
         
         // Apply alpha
-        ctx.globalAlpha = Math.max(0, this.alpha);
+        ctx.globalAlpha = Math.max(0, this.alpha) * modifierAlpha;
+        
+        // Hold tail (drawn under the head, between head and end)
+        if (this.isHold() && this.status !== 'hit') {
+            this.renderTail(ctx, color);
+        }
         
         // Apply scale transformation for hit effect
         if (this.status === 'hit') {
@@ -167,7 +269,73 @@ class Note {
         
         ctx.restore();
     }
+
+    /**
+     * Render a mine: a dark spiked ball that glows red as it nears the hit zone
+     */
+    renderMine(ctx, modifierAlpha = 1) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const radius = this.height * 0.6 * this.scale;
+        
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, this.alpha) * modifierAlpha;
+        ctx.shadowColor = Note.MINE_COLOR;
+        ctx.shadowBlur = 10 + 20 * (this.glowIntensity + (this.status === 'hit' ? 1 : 0));
+        
+        // Spikes
+        ctx.strokeStyle = Note.MINE_COLOR;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            ctx.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            ctx.lineTo(centerX + Math.cos(angle) * radius * 1.5, centerY + Math.sin(angle) * radius * 1.5);
+        }
+        ctx.stroke();
+        
+        // Body
+        ctx.fillStyle = '#2d3436';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Core
+        ctx.fillStyle = Note.MINE_COLOR;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+
+    /**
+     * Render the tail of a hold note
+     */
+    renderTail(ctx, color) {
+        const tailWidth = this.width * 0.6;
+        const tailX = this.x + (this.width - tailWidth) / 2;
+        const top = Math.min(this.tailY, this.y);
+        const height = Math.abs(this.y - this.tailY) + this.height / 2;
+        
+        ctx.save();
+        ctx.globalAlpha *= this.status === 'holding' ? 0.85 : 0.6;
+        ctx.fillStyle = this.status === 'missed' ? '#666666' : color;
+        ctx.beginPath();
+        ctx.roundRect(tailX, top, tailWidth, height, tailWidth / 2);
+        ctx.fill();
+        
+        // End cap
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillRect(tailX, this.tailY, tailWidth, 4);
+        ctx.restore();
+    }
 }
 
+Note.MINE_COLOR = '#ff4757';
+Note.HIDDEN_FADE = [0.45, 0.75]; // Progress over which Hidden fades notes out
+Note.SUDDEN_FADE = [0.25, 0.45]; // Progress over which Sudden fades notes in
+
 // Export as global
 window.Note = Note;
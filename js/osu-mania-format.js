@@ -0,0 +1,376 @@
+/**
+ * osu!mania Format Module
+ * Imports osu!mania beatmaps (.osu files) as charts
+ *
+ * Only the sections a chart needs are read:
+ *   [General]      Mode (must be 3 = osu!mania), AudioFilename
+ *   [Metadata]     Title, Artist, Creator, Version (difficulty name)
+ *   [Difficulty]   CircleSize (= key count)
+ *   [TimingPoints] time,beatLength,meter,sampleSet,sampleIndex,volume,uninherited,effects
+ *   [HitObjects]   x,y,time,type,hitSound,endTime:hitSample (hold) or x,y,time,type,hitSound,hitSample
+ *
+ * Times are in milliseconds from the start of the audio file. Inherited (green)
+ * timing points only change scroll speed; they become the chart's scroll velocities
+ * (a BPM timing point resets the scroll speed to 1x, as in osu!).
+ *
+ * Charts can also be exported as .osu files (see serialize).
+ */
+class OsuManiaFormat {
+    /**
+     * Check whether a file name looks like an osu! beatmap
+     */
+    static isOsuFile(fileName) {
+        return /\.osu$/i.test(fileName);
+    }
+
+    /**
+     * Parse a beatmap into a chart
+     * @throws {Error} - With a list of problems in error.details
+     */
+    static parse(text) {
+        const errors = [];
+        const sections = OsuManiaFormat.parseSections(text, errors);
+        if (errors.length > 0) {
+            throw ChartFormat.createError('Invalid osu!mania beatmap', errors);
+        }
+
+        const general = OsuManiaFormat.parseKeyValues(sections.General);
+        const metadata = OsuManiaFormat.parseKeyValues(sections.Metadata);
+        const difficulty = OsuManiaFormat.parseKeyValues(sections.Difficulty);
+
+        for (const name of ['General', 'Difficulty', 'TimingPoints', 'HitObjects']) {
+            if (!sections[name]) errors.push(`[${name}]: section is missing`);
+        }
+
+        const mode = general.Mode !== undefined ? parseInt(general.Mode, 10) : 0;
+        if (sections.General && mode !== OsuManiaFormat.MANIA_MODE) {
+            const modeName = OsuManiaFormat.MODE_NAMES[mode] || 'an unknown mode';
+            errors.push(`[General] Mode: only osu!mania beatmaps (Mode: 3) can be imported, got ${modeName} (Mode: ${mode})`);
+        }
+
+        const keyCount = Number(difficulty.CircleSize);
+        if (sections.Difficulty && !KeyModes.isSupported(keyCount)) {
+            errors.push(`[Difficulty] CircleSize: ${difficulty.CircleSize === undefined ? 'missing' : `${difficulty.CircleSize}K`} ` +
+                `is not a supported key count (supported: ${KeyModes.LANE_COUNTS.map(n => `${n}K`).join(', ')})`);
+        }
+
+        // Report the header problems on their own: the rest depends on them
+        if (errors.length > 0) {
+            throw ChartFormat.createError('Invalid osu!mania beatmap', errors);
+        }
+
+        const timingPoints = OsuManiaFormat.parseTimingPoints(sections.TimingPoints, errors);
+        const scrollVelocities = OsuManiaFormat.parseScrollVelocities(sections.TimingPoints);
+        const beats = OsuManiaFormat.parseHitObjects(sections.HitObjects, keyCount, errors);
+
+        if (timingPoints.length === 0 && !errors.some(error => error.startsWith('[TimingPoints]'))) {
+            errors.push('[TimingPoints]: no uninherited (BPM) timing points');
+        }
+        if (beats.length === 0 && !errors.some(error => error.startsWith('[HitObjects]'))) {
+            errors.push('[HitObjects]: the beatmap has no notes');
+        }
+        if (errors.length > 0) {
+            throw ChartFormat.createError('Invalid osu!mania beatmap', errors);
+        }
+
+        const title = metadata.Title || '';
+        const chart = ChartFormat.create({
+            difficulty: '',
+            timingPoints: timingPoints,
+            scrollVelocities: scrollVelocities,
+            laneCount: keyCount,
+            beats: beats,
+            metadata: {
+                title: metadata.Version ? `${title} [${metadata.Version}]` : title,
+                artist: metadata.Artist || '',
+                creator: metadata.Creator || '',
+                audioFilename: general.AudioFilename || ''
+            }
+        });
+
+        // The converted chart must pass the same checks as an imported chart file
+        const chartErrors = ChartFormat.validate(chart);
+        if (chartErrors.length > 0) {
+            throw ChartFormat.createError('Invalid osu!mania beatmap', chartErrors);
+        }
+
+        return chart;
+    }
+
+    /**
+     * Serialize a chart as an osu!mania beatmap
+     * The title's "[Version]" suffix (added on import) becomes the difficulty name again
+     */
+    static serialize(chart) {
+        const laneCount = chart.laneCount || KeyModes.DEFAULT_LANE_COUNT;
+        const match = (chart.metadata.title || '').match(/^(.*) \[(.+)\]$/);
+        const title = match ? match[1] : (chart.metadata.title || chart.videoId || 'Untitled');
+        const version = match ? match[2] : (chart.metadata.difficulty || 'Custom');
+        const level = OsuManiaFormat.DIFFICULTY_LEVELS[chart.metadata.difficulty] || OsuManiaFormat.DIFFICULTY_LEVELS.medium;
+
+        const points = ChartFormat.toTimingPoints(chart);
+        const bpmPoints = points.map(point => ({
+            time: point.time,
+            text: `${Math.round(point.time * 1000)},${60000 / point.bpm},${point.meter},1,0,100,1,0`
+        }));
+
+        // Each BPM point resets osu!'s scroll speed, so a speed still in effect is set again after it
+        const tempoMap = TempoMap.fromChart(chart);
+        const scrollMap = new ScrollMap(ChartFormat.toScrollVelocities(chart));
+        const scrollTimes = [...new Set([
+            ...scrollMap.sections.map(section => section.time),
+            ...points.filter(point => scrollMap.getSpeed(point.time) !== 1).map(point => point.time)
+        ])].sort((a, b) => a - b);
+        const inheritedPoints = scrollTimes.map(time => {
+            const beatLength = -100 / Math.max(OsuManiaFormat.MIN_SCROLL_VELOCITY, scrollMap.getSpeed(time));
+            return { time: time, text: `${Math.round(time * 1000)},${beatLength},${tempoMap.pointAt(time).meter},1,0,100,0,0` };
+        });
+
+        // In time order, a BPM point before an inherited point at the same time
+        const timingPoints = [...bpmPoints, ...inheritedPoints]
+            .sort((a, b) => a.time - b.time || inheritedPoints.includes(a) - inheritedPoints.includes(b))
+            .map(point => point.text);
+
+        // osu!mania has no mines, so they are left out
+        const hitObjects = ChartFormat.toBeats(chart).filter(beat => beat.type !== 'mine').map(beat => {
+            const x = Math.floor((beat.lane + 0.5) * OsuManiaFormat.PLAYFIELD_WIDTH / laneCount);
+            const time = Math.round(beat.time * 1000);
+            if (beat.type === 'hold') {
+                const endTime = Math.round((beat.time + beat.duration) * 1000);
+                return `${x},192,${time},${OsuManiaFormat.HOLD_TYPE},0,${endTime}:0:0:0:0:`;
+            }
+            return `${x},192,${time},${OsuManiaFormat.NOTE_TYPE},0,0:0:0:0:`;
+        });
+
+        return [
+            'osu file format v14',
+            '',
+            '[General]',
+            `AudioFilename: ${chart.metadata.audioFilename || 'audio.mp3'}`,
+            'AudioLeadIn: 0',
+            'PreviewTime: -1',
+            'Countdown: 0',
+            'SampleSet: Soft',
+            'StackLeniency: 0.7',
+            `Mode: ${OsuManiaFormat.MANIA_MODE}`,
+            'LetterboxInBreaks: 0',
+            'SpecialStyle: 0',
+            'WidescreenStoryboard: 0',
+            '',
+            '[Metadata]',
+            `Title:${title}`,
+            `TitleUnicode:${title}`,
+            `Artist:${chart.metadata.artist || ''}`,
+            `ArtistUnicode:${chart.metadata.artist || ''}`,
+            `Creator:${chart.metadata.creator || ''}`,
+            `Version:${version}`,
+            'Source:',
+            `Tags:${chart.videoId ? `youtube ${chart.videoId}` : ''}`,
+            'BeatmapID:0',
+            'BeatmapSetID:-1',
+            '',
+            '[Difficulty]',
+            `HPDrainRate:${level}`,
+            `CircleSize:${laneCount}`,
+            `OverallDifficulty:${level}`,
+            'ApproachRate:5',
+            'SliderMultiplier:1.4',
+            'SliderTickRate:1',
+            '',
+            '[Events]',
+            '//Background and Video events',
+            '',
+            '[TimingPoints]',
+            ...timingPoints,
+            '',
+            '',
+            '[HitObjects]',
+            ...hitObjects,
+            ''
+        ].join('\r\n');
+    }
+
+    /**
+     * Split a beatmap into its [Sections]
+     * @returns {object} - Section name -> list of { text, line } (comments and blank lines removed)
+     */
+    static parseSections(text, errors) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const sections = {};
+        let current = null;
+
+        const header = lines.findIndex(line => line.trim() !== '');
+        if (header === -1 || !/^osu file format v\d+/.test(lines[header].trim())) {
+            errors.push('not an osu! beatmap (the file should start with "osu file format v14")');
+            return sections;
+        }
+
+        lines.forEach((raw, index) => {
+            const line = raw.trim();
+            if (index <= header || line === '' || line.startsWith('//')) return;
+
+            const match = line.match(/^\[(\w+)\]$/);
+            if (match) {
+                current = match[1];
+                sections[current] = sections[current] || [];
+            } else if (current) {
+                sections[current].push({ text: line, line: index + 1 });
+            }
+        });
+
+        return sections;
+    }
+
+    /**
+     * Read "Key: Value" lines
+     */
+    static parseKeyValues(lines = []) {
+        const values = {};
+
+        for (const { text } of lines) {
+            const separator = text.indexOf(':');
+            if (separator === -1) continue;
+            values[text.slice(0, separator).trim()] = text.slice(separator + 1).trim();
+        }
+
+        return values;
+    }
+
+    /**
+     * Read the uninherited timing points
+     * @returns {object[]} - Timing points { time, bpm, meter } in song time
+     */
+    static parseTimingPoints(lines, errors) {
+        const points = [];
+
+        for (const { text, line } of lines) {
+            const fields = text.split(',').map(field => field.trim());
+            const time = Number(fields[0]);
+            const beatLength = Number(fields[1]);
+
+            if (fields.length < 2 || !Number.isFinite(time) || !Number.isFinite(beatLength)) {
+                errors.push(`[TimingPoints] line ${line}: expected "time,beatLength,...", got "${text}"`);
+                continue;
+            }
+
+            // Old beatmaps have no uninherited field; inherited points have a negative beat length
+            const uninherited = fields[6] !== undefined ? fields[6] === '1' : beatLength > 0;
+            if (!uninherited) continue;
+
+            if (beatLength <= 0) {
+                errors.push(`[TimingPoints] line ${line}: beat length must be positive, got ${fields[1]}`);
+                continue;
+            }
+
+            const meter = parseInt(fields[2], 10);
+            const point = {
+                time: time / 1000,
+                bpm: Math.round(60000 / beatLength * 1000) / 1000,
+                meter: meter >= 1 && meter <= ChartFormat.MAX_METER ? meter : 4
+            };
+
+            // A later point at the same millisecond replaces the earlier one, as in osu!
+            const previous = points[points.length - 1];
+            if (previous && Math.round(previous.time * 1000) === Math.round(point.time * 1000)) {
+                points[points.length - 1] = point;
+            } else {
+                points.push(point);
+            }
+        }
+
+        return points.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Read the scroll speed changes: inherited points set a speed of -100 / beatLength,
+     * BPM points set it back to 1x (malformed lines are reported by parseTimingPoints)
+     * @returns {object[]} - Scroll velocity sections { time, speed } in song time; empty when
+     *                       the speed never changes
+     */
+    static parseScrollVelocities(lines) {
+        const changes = [];
+
+        for (const { text } of lines) {
+            const fields = text.split(',').map(field => field.trim());
+            const time = Number(fields[0]);
+            const beatLength = Number(fields[1]);
+            if (fields.length < 2 || !Number.isFinite(time) || !Number.isFinite(beatLength)) continue;
+
+            const uninherited = fields[6] !== undefined ? fields[6] === '1' : beatLength > 0;
+            const speed = uninherited || beatLength >= 0
+                ? 1
+                : Math.min(ChartFormat.MAX_SCROLL_VELOCITY, Math.round(-100 / beatLength * 1000) / 1000);
+
+            // A later point at the same millisecond replaces the earlier one, as in osu!
+            const previous = changes[changes.length - 1];
+            if (previous && Math.round(previous.time * 1000) === Math.round(time)) {
+                changes.pop();
+            }
+            changes.push({ time: time / 1000, speed: speed });
+        }
+
+        // Keep only actual changes
+        const sections = [];
+        for (const change of changes.sort((a, b) => a.time - b.time)) {
+            const speed = sections.length > 0 ? sections[sections.length - 1].speed : 1;
+            if (change.speed !== speed) sections.push(change);
+        }
+        return sections;
+    }
+
+    /**
+     * Read the hit objects as beats, mapping each x position to a lane
+     * @returns {object[]} - Beats { time, lane, type, duration, intensity } in song time
+     */
+    static parseHitObjects(lines, keyCount, errors) {
+        const beats = [];
+
+        for (const { text, line } of lines) {
+            const fields = text.split(',').map(field => field.trim());
+            const x = Number(fields[0]);
+            const time = Number(fields[2]);
+            const type = parseInt(fields[3], 10);
+
+            if (fields.length < 5 || !Number.isFinite(x) || !Number.isFinite(time) || !Number.isInteger(type)) {
+                errors.push(`[HitObjects] line ${line}: expected "x,y,time,type,hitSound,...", got "${text}"`);
+                continue;
+            }
+
+            if (time < 0) {
+                errors.push(`[HitObjects] line ${line}: note at ${time}ms is before the start of the song`);
+                continue;
+            }
+
+            const lane = Math.min(keyCount - 1, Math.max(0, Math.floor(x * keyCount / OsuManiaFormat.PLAYFIELD_WIDTH)));
+            const beat = { time: time / 1000, lane: lane, type: 'tap', duration: 0, intensity: 1 };
+
+            if (type & OsuManiaFormat.HOLD_TYPE) {
+                const endTime = Number((fields[5] || '').split(':')[0]);
+                if (!Number.isFinite(endTime) || endTime <= time) {
+                    errors.push(`[HitObjects] line ${line}: hold note must end after it starts (${time}ms), got end time "${fields[5] || ''}"`);
+                    continue;
+                }
+                beat.type = 'hold';
+                beat.duration = (endTime - time) / 1000;
+            } else if (!(type & OsuManiaFormat.NOTE_TYPE)) {
+                errors.push(`[HitObjects] line ${line}: unsupported hit object type ${type} (expected a note or a hold)`);
+                continue;
+            }
+
+            beats.push(beat);
+        }
+
+        return beats.sort((a, b) => a.time - b.time || a.lane - b.lane);
+    }
+}
+
+OsuManiaFormat.MANIA_MODE = 3;
+OsuManiaFormat.MODE_NAMES = ['osu!standard', 'osu!taiko', 'osu!catch', 'osu!mania'];
+OsuManiaFormat.PLAYFIELD_WIDTH = 512;
+OsuManiaFormat.NOTE_TYPE = 1;   // Hit circle bit (a tap note in osu!mania)
+OsuManiaFormat.HOLD_TYPE = 128; // osu!mania hold note bit
+OsuManiaFormat.MIN_SCROLL_VELOCITY = 0.01; // Stand-in for a stopped scroll (osu! can't stop it)
+OsuManiaFormat.DIFFICULTY_LEVELS = { easy: 6, medium: 7, hard: 8 }; // HP drain and overall difficulty
+
+// Export as global
+window.OsuManiaFormat = OsuManiaFormat;
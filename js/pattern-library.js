@@ -0,0 +1,202 @@
+/**
+ * Pattern Library Module
+ * Lane patterns (stairs, trills, jacks, rolls, alternating hands, jumps) and the
+ * density curve the chart generator assembles charts from
+ */
+class PatternLibrary {
+    /**
+     * Generate the lanes for a pattern
+     * @param {string} name - Pattern name (see PatternLibrary.PATTERNS)
+     * @param {number} count - Number of steps
+     * @param {SeededRandom} rng - Random source
+     * @param {number} laneCount - Number of lanes (see KeyModes)
+     * @returns {number[][]} - Lanes to hit on each step
+     */
+    static generate(name, count, rng, laneCount = KeyModes.DEFAULT_LANE_COUNT) {
+        const generator = PatternLibrary.PATTERNS[name];
+        if (!generator) {
+            throw new Error(`Unknown pattern: ${name}`);
+        }
+
+        const steps = [];
+        const next = generator(rng, laneCount);
+        for (let i = 0; i < count; i++) {
+            steps.push(next(i));
+        }
+        return steps;
+    }
+
+    /**
+     * Pick a pattern for a measure, weighted by the difficulty's pattern table
+     * Patterns with a minDensity only appear in dense parts of the song
+     * @param {string|object[]} difficulty - Difficulty name, or a pattern table (see buildPatternTable)
+     * @returns {object} - { pattern, step, weight, minDensity }
+     */
+    static choose(difficulty, density, rng) {
+        const table = Array.isArray(difficulty)
+            ? difficulty
+            : PatternLibrary.DIFFICULTY_PATTERNS[difficulty] || PatternLibrary.DIFFICULTY_PATTERNS.medium;
+        const candidates = table.filter(entry => density >= (entry.minDensity || 0));
+        const totalWeight = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+
+        let roll = rng.next() * totalWeight;
+        for (const entry of candidates) {
+            roll -= entry.weight;
+            if (roll < 0) return entry;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Build a pattern table from the share of measures played in 8th and 16th notes
+     * (the rest are quarter notes)
+     */
+    static buildPatternTable(eighthRate, sixteenthRate) {
+        const rates = { 1: Math.max(0, 1 - eighthRate - sixteenthRate), 2: eighthRate, 4: sixteenthRate };
+        const table = [];
+
+        for (const entry of PatternLibrary.SUBDIVISION_PATTERNS) {
+            const stepWeight = PatternLibrary.SUBDIVISION_PATTERNS
+                .filter(other => other.step === entry.step)
+                .reduce((sum, other) => sum + other.weight, 0);
+            const weight = rates[entry.step] * entry.weight / stepWeight;
+            if (weight > 0) {
+                table.push({ pattern: entry.pattern, step: entry.step, weight: weight });
+            }
+        }
+
+        return table;
+    }
+
+    /**
+     * Note density over the song (0-1): a short intro build-up, a calm outro
+     * and alternating calmer/busier sections in between
+     * @param {number} progress - Position in the song (0-1)
+     */
+    static densityAt(progress) {
+        const intro = Math.min(1, progress / 0.15);
+        const outro = Math.min(1, (1 - progress) / 0.1);
+        const envelope = 0.5 + 0.5 * Math.max(0, Math.min(intro, outro));
+        const sections = 0.85 + 0.15 * Math.sin(progress * Math.PI * 6);
+        return envelope * sections;
+    }
+
+    /**
+     * Pick a random lane different from the given one
+     */
+    static otherLane(lane, rng, laneCount) {
+        return (lane + 1 + rng.nextInt(laneCount - 1)) % laneCount;
+    }
+}
+
+// Pattern generators: each takes the rng and lane count and returns a function from step index to lanes
+PatternLibrary.PATTERNS = {
+    // 0 1 2 3 2 1 0 ... (or starting downwards)
+    stairs: (rng, laneCount) => {
+        let lane = rng.nextInt(laneCount);
+        let direction = rng.chance(0.5) ? 1 : -1;
+        return (i) => {
+            if (i > 0) {
+                if (lane + direction < 0 || lane + direction >= laneCount) {
+                    direction = -direction;
+                }
+                lane += direction;
+            }
+            return [lane];
+        };
+    },
+
+    // 0 1 2 3 0 1 2 3 ... (or right to left)
+    roll: (rng, laneCount) => {
+        const start = rng.nextInt(laneCount);
+        const direction = rng.chance(0.5) ? 1 : -1;
+        return (i) => [((start + direction * i) % laneCount + laneCount) % laneCount];
+    },
+
+    // Two lanes in alternation
+    trill: (rng, laneCount) => {
+        const first = rng.nextInt(laneCount);
+        const second = PatternLibrary.otherLane(first, rng, laneCount);
+        return (i) => [i % 2 === 0 ? first : second];
+    },
+
+    // The same lane twice, then a new lane
+    jack: (rng, laneCount) => {
+        let lane = rng.nextInt(laneCount);
+        return (i) => {
+            if (i > 0 && i % 2 === 0) {
+                lane = PatternLibrary.otherLane(lane, rng, laneCount);
+            }
+            return [lane];
+        };
+    },
+
+    // Left hand and right hand lanes take turns (4K: lanes 0-1 and 2-3)
+    alternate: (rng, laneCount) => {
+        const hands = KeyModes.getHands(laneCount);
+        const firstHand = rng.nextInt(2);
+        return (i) => {
+            const lanes = (firstHand + i) % 2 === 0 ? hands.left : hands.right;
+            return [lanes[rng.nextInt(lanes.length)]];
+        };
+    },
+
+    // Two-note chords in alternation, using four different lanes
+    jumps: (rng, laneCount) => {
+        const lanes = Array.from({ length: laneCount }, (_, lane) => lane);
+        const picked = [];
+        for (let n = 0; n < 4; n++) {
+            picked.push(lanes.splice(rng.nextInt(lanes.length), 1)[0]);
+        }
+        const byLane = (a, b) => a - b;
+        const pairs = [picked.slice(0, 2).sort(byLane), picked.slice(2).sort(byLane)];
+        return (i) => pairs[i % 2].slice();
+    }
+};
+
+// Patterns per difficulty: step = notes per beat, weight = relative frequency
+PatternLibrary.DIFFICULTY_PATTERNS = {
+    easy: [
+        { pattern: 'stairs', step: 1, weight: 3 },
+        { pattern: 'alternate', step: 1, weight: 3 },
+        { pattern: 'trill', step: 1, weight: 2 },
+        { pattern: 'jumps', step: 1, weight: 1, minDensity: 0.8 }
+    ],
+    medium: [
+        { pattern: 'stairs', step: 1, weight: 3 },
+        { pattern: 'alternate', step: 1, weight: 2 },
+        { pattern: 'jack', step: 1, weight: 1 },
+        { pattern: 'jumps', step: 1, weight: 1 },
+        { pattern: 'stairs', step: 2, weight: 2, minDensity: 0.6 },
+        { pattern: 'trill', step: 2, weight: 2, minDensity: 0.6 },
+        { pattern: 'alternate', step: 2, weight: 1, minDensity: 0.75 }
+    ],
+    hard: [
+        { pattern: 'stairs', step: 1, weight: 1 },
+        { pattern: 'stairs', step: 2, weight: 3 },
+        { pattern: 'alternate', step: 2, weight: 2 },
+        { pattern: 'trill', step: 2, weight: 2 },
+        { pattern: 'jack', step: 2, weight: 1 },
+        { pattern: 'jumps', step: 2, weight: 1, minDensity: 0.6 },
+        { pattern: 'roll', step: 4, weight: 2, minDensity: 0.75 },
+        { pattern: 'trill', step: 4, weight: 1, minDensity: 0.85 }
+    ]
+};
+
+// Patterns per note length for custom difficulties (weights are relative within a step)
+PatternLibrary.SUBDIVISION_PATTERNS = [
+    { pattern: 'stairs', step: 1, weight: 3 },
+    { pattern: 'alternate', step: 1, weight: 2 },
+    { pattern: 'trill', step: 1, weight: 1 },
+    { pattern: 'jack', step: 1, weight: 1 },
+    { pattern: 'jumps', step: 1, weight: 1 },
+    { pattern: 'stairs', step: 2, weight: 3 },
+    { pattern: 'alternate', step: 2, weight: 2 },
+    { pattern: 'trill', step: 2, weight: 2 },
+    { pattern: 'jack', step: 2, weight: 1 },
+    { pattern: 'roll', step: 4, weight: 2 },
+    { pattern: 'trill', step: 4, weight: 1 }
+];
+
+// Export as global
+window.PatternLibrary = PatternLibrary;
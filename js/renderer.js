@@ -12,8 +12,9 @@ class Renderer {
         this.height = 0;
         
         // Game area settings
-        this.laneCount = 4;
-        this.laneWidth = 80;
+        this.laneCount = KeyModes.DEFAULT_LANE_COUNT;
+        this.maxLaneWidth = 80;
+        this.laneWidth = this.maxLaneWidth;
         this.gameAreaWidth = this.laneCount * this.laneWidth;
         this.gameAreaX = 0;
         this.hitZoneY = 0;
@@ -21,7 +22,7 @@ class Renderer {
         
         // Visual settings
         this.backgroundColor = '#0a0a0f';
-        this.laneColors = ['#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3'];
+        this.laneColors = KeyModes.get(this.laneCount).colors;
         
         // Particles
         this.particles = [];
@@ -46,6 +47,10 @@ class Renderer {
         this.canvas.width = this.width;
         this.canvas.height = this.height;
         
+        // Narrow lanes when the window is too small for all of them
+        this.laneWidth = Math.min(this.maxLaneWidth, Math.floor((this.width - 20) / this.laneCount));
+        this.gameAreaWidth = this.laneCount * this.laneWidth;
+        
         // Center game area
         this.gameAreaX = (this.width - this.gameAreaWidth) / 2;
         
@@ -53,6 +58,15 @@ class Renderer {
         this.hitZoneY = this.height - 120;
     }
 
+    /**
+     * Change the number of lanes (key mode)
+     */
+    setLaneCount(laneCount) {
+        this.laneCount = laneCount;
+        this.laneColors = KeyModes.get(laneCount).colors;
+        this.resize();
+    }
+
     /**
      * Clear the canvas
      */
@@ -116,10 +130,48 @@ class Renderer {
     /**
      * Render all notes
      */
-    renderNotes(notes) {
+    renderNotes(notes, modifiers = null) {
+        this.renderChordLinks(notes, modifiers);
+        
         for (const note of notes) {
-            note.render(this.ctx);
+            note.render(this.ctx, modifiers);
+        }
+    }
+
+    /**
+     * Render a bar joining notes that must be hit together (chords)
+     */
+    renderChordLinks(notes, modifiers = null) {
+        const ctx = this.ctx;
+        const chords = new Map();
+        
+        for (const note of notes) {
+            if (!note.isActive() || note.isMine()) continue;
+            const key = Math.round(note.hitTime * 1000);
+            if (!chords.has(key)) chords.set(key, []);
+            chords.get(key).push(note);
+        }
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        
+        for (const chord of chords.values()) {
+            if (chord.length < 2) continue;
+            
+            const centers = chord.map(note => note.x + note.width / 2);
+            const y = chord[0].y + chord[0].height / 2;
+            
+            // Links fade with their notes under Hidden/Sudden
+            ctx.globalAlpha = chord[0].getModifierAlpha(modifiers);
+            ctx.beginPath();
+            ctx.moveTo(Math.min(...centers), y);
+            ctx.lineTo(Math.max(...centers), y);
+            ctx.stroke();
         }
+        
+        ctx.restore();
     }
 
     /**
@@ -210,14 +262,61 @@ class Renderer {
     }
 
     /**
-     * Render progress bar
+     * Render the lane cover: hides the top of the lanes, leaving less time to read notes
+     * @param {number} cover - Share of the way from the top to the hit zone that is covered
      */
-    renderProgressBar(progress, duration, currentTime) {
+    renderLaneCover(cover) {
         const ctx = this.ctx;
-        const barWidth = 300;
-        const barHeight = 4;
-        const x = this.width - barWidth - 350; // Position left of YouTube player
-        const y = 20;
+        const bottom = this.hitZoneY * cover;
+        
+        ctx.save();
+        ctx.fillStyle = '#14141f';
+        ctx.fillRect(this.gameAreaX, 0, this.gameAreaWidth, bottom);
+        
+        // Edge
+        ctx.fillStyle = 'rgba(108, 92, 231, 0.8)';
+        ctx.fillRect(this.gameAreaX, bottom - 3, this.gameAreaWidth, 3);
+        
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(`${Math.round(cover * 100)}%  ↑↓`, this.gameAreaX + this.gameAreaWidth / 2, bottom - 10);
+        ctx.restore();
+    }
+
+    /**
+     * Render the health gauge as a vertical bar right of the lanes
+     * @param {number} health - 0 (empty) to 1 (full)
+     */
+    renderHealthBar(health) {
+        const ctx = this.ctx;
+        const barWidth = 8;
+        const x = this.gameAreaX + this.gameAreaWidth + 12;
+        const bottom = this.hitZoneY + this.hitZoneHeight / 2;
+        const barHeight = bottom * 0.6;
+        const top = bottom - barHeight;
+        
+        // Background
+        ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
+        ctx.fillRect(x, top, barWidth, barHeight);
+        
+        // Fill from the bottom: green when healthy, yellow, then red when nearly empty
+        const fillHeight = barHeight * health;
+        ctx.fillStyle = health > 0.5 ? '#00b894' : health > 0.25 ? '#fdcb6e' : '#ff4757';
+        ctx.fillRect(x, bottom - fillHeight, barWidth, fillHeight);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, top, barWidth, barHeight);
+    }
+
+    /**
+     * Render progress bar (with the practice loop, if one is set)
+     * @param {object} loop - Optional { start, end } video times; end may be null while only A is set
+     */
+    renderProgressBar(progress, duration, currentTime, loop = null) {
+        const ctx = this.ctx;
+        const { x, y, width: barWidth, height: barHeight } = this.getProgressBarRect();
         
         // Background
         ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
@@ -231,6 +330,10 @@ class Renderer {
         ctx.fillStyle = gradient;
         ctx.fillRect(x, y, progressWidth, barHeight);
         
+        if (loop && loop.start !== null) {
+            this.renderLoopMarkers(loop, duration);
+        }
+        
         // Time text
         ctx.font = '12px Arial';
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
@@ -240,6 +343,54 @@ class Renderer {
         ctx.fillText(this.formatTime(duration), x + barWidth, y + 20);
     }
 
+    /**
+     * Render the practice loop region and its A/B markers on the progress bar
+     */
+    renderLoopMarkers(loop, duration) {
+        const ctx = this.ctx;
+        const { x, y, width: barWidth, height: barHeight } = this.getProgressBarRect();
+        const toX = (time) => x + Math.max(0, Math.min(1, time / duration)) * barWidth;
+        const startX = toX(loop.start);
+        
+        if (loop.end !== null) {
+            ctx.fillStyle = 'rgba(255, 234, 167, 0.3)';
+            ctx.fillRect(startX, y - 4, toX(loop.end) - startX, barHeight + 8);
+        }
+        
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffeaa7';
+        const markers = loop.end !== null ? [['A', startX], ['B', toX(loop.end)]] : [['A', startX]];
+        for (const [label, markerX] of markers) {
+            ctx.fillRect(markerX - 1, y - 6, 2, barHeight + 12);
+            ctx.fillText(label, markerX, y - 8);
+        }
+    }
+
+    /**
+     * Get the position and size of the progress bar
+     */
+    getProgressBarRect() {
+        return {
+            x: this.width - 300 - 350, // Left of YouTube player
+            y: 20,
+            width: 300,
+            height: 4
+        };
+    }
+
+    /**
+     * Get the video time under a point on the progress bar
+     * @returns {number|null} - null if the point is not on the bar
+     */
+    getProgressBarTime(pointX, pointY, duration) {
+        const bar = this.getProgressBarRect();
+        const onBar = pointX >= bar.x && pointX <= bar.x + bar.width &&
+            Math.abs(pointY - (bar.y + bar.height / 2)) <= Renderer.PROGRESS_BAR_HIT_SLOP;
+        
+        return onBar && duration > 0 ? ((pointX - bar.x) / bar.width) * duration : null;
+    }
+
     /**
      * Format time as MM:SS
      */
@@ -267,18 +418,29 @@ class Renderer {
         
         // Notes
         if (gameState.notes) {
-            this.renderNotes(gameState.notes);
+            this.renderNotes(gameState.notes, gameState.modifiers);
+        }
+        
+        // Lane cover over the top of the lanes
+        if (gameState.modifiers && gameState.modifiers.laneCover > 0) {
+            this.renderLaneCover(gameState.modifiers.laneCover);
         }
         
         // Particles
         this.renderParticles();
         
+        // Health gauge
+        if (gameState.health !== undefined) {
+            this.renderHealthBar(gameState.health);
+        }
+        
         // Progress bar
         if (gameState.duration && gameState.currentTime !== undefined) {
             this.renderProgressBar(
                 gameState.progress || 0,
                 gameState.duration,
-                gameState.currentTime
+                gameState.currentTime,
+                gameState.loop
             );
         }
         
@@ -340,5 +502,7 @@ class Renderer {
     }
 }
 
+Renderer.PROGRESS_BAR_HIT_SLOP = 12; // Pixels above/below the progress bar that still count as a click on it
+
 // Export as global
 window.Renderer = Renderer;
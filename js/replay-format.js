@@ -0,0 +1,279 @@
+/**
+ * Replay Format Module
+ * Compact JSON record of a play: every lane press and release in song time, plus what is
+ * needed to play it back the same way (chart hash, seed, modifiers, calibration)
+ *
+ * Schema (version 1):
+ * {
+ *   "format": "youtube-rhythm-game-replay",
+ *   "version": 1,
+ *   "createdAt": "2024-01-01T00:00:00.000Z",
+ *   "song": { "videoId": "dQw4w9WgXcQ", "fileName": null },   // YouTube video or local file name
+ *   "chart": { "hash", "difficulty", "laneCount", "seed", "imported" }, // hash from ChartStore.hashChart
+ *   "settings": { "rate", "modifiers", "scrollSpeed", "calibrationOffset" }, // At the start of the song
+ *   "result": { "score", "accuracy", "maxCombo", "failed" },
+ *   "inputs": [12000, 1, 1500, 0],   // Pairs of [time since the previous input, lane * 2 + 1 (press) or + 0 (release)]
+ *   "hotkeys": [[30000, "arrowup"]]  // [song time, key] of lane cover and scroll speed changes
+ * }
+ *
+ * Times are whole steps of 1 / TIME_RESOLUTION seconds. Inputs are judged at their rounded
+ * time while recording (see quantizeTime), so playback judges exactly the same times.
+ */
+class ReplayFormat {
+    /**
+     * Create a replay from a recorded play
+     * @param {object[]} inputs - { type: 'press' | 'release', lane, time } in song time, in order
+     * @param {object[]} hotkeys - { key, time } in song time, in order
+     * @param {object} stats - ScoringSystem stats of the play (with failed)
+     */
+    static create({ chart, videoId = null, fileName = null, difficulty, seed = '', imported = false, rate = 1, modifiers, scrollSpeed, calibrationOffset = 0, inputs = [], hotkeys = [], stats }) {
+        return {
+            format: ReplayFormat.FORMAT_ID,
+            version: ReplayFormat.VERSION,
+            createdAt: new Date().toISOString(),
+            song: {
+                videoId: videoId,
+                fileName: fileName
+            },
+            chart: {
+                hash: ChartStore.hashChart(chart),
+                difficulty: difficulty,
+                laneCount: chart.laneCount || KeyModes.DEFAULT_LANE_COUNT,
+                seed: seed,
+                imported: imported
+            },
+            settings: {
+                rate: rate,
+                modifiers: { ...modifiers },
+                scrollSpeed: { ...scrollSpeed },
+                calibrationOffset: calibrationOffset
+            },
+            result: {
+                score: stats.score,
+                accuracy: stats.accuracy,
+                maxCombo: stats.maxCombo,
+                failed: Boolean(stats.failed)
+            },
+            inputs: ReplayFormat.encodeInputs(inputs),
+            hotkeys: hotkeys.map(hotkey => [ReplayFormat.toSteps(hotkey.time), hotkey.key])
+        };
+    }
+
+    /**
+     * Round a song time to the replay's time resolution
+     */
+    static quantizeTime(time) {
+        return ReplayFormat.toSteps(time) / ReplayFormat.TIME_RESOLUTION;
+    }
+
+    /**
+     * Convert a song time to whole time steps
+     */
+    static toSteps(time) {
+        return Math.round(time * ReplayFormat.TIME_RESOLUTION);
+    }
+
+    /**
+     * Pack inputs into [time step delta, lane * 2 + pressed] pairs
+     */
+    static encodeInputs(inputs) {
+        const packed = [];
+        let previous = 0;
+
+        for (const input of inputs) {
+            const steps = ReplayFormat.toSteps(input.time);
+            packed.push(steps - previous, input.lane * 2 + (input.type === 'press' ? 1 : 0));
+            previous = steps;
+        }
+        return packed;
+    }
+
+    /**
+     * Unpack a replay's inputs and hotkeys into one list of events
+     * @returns {object[]} - { type: 'press' | 'release', lane, time } and { type: 'hotkey', key, time }
+     *                       in song time order
+     */
+    static getEvents(replay) {
+        const events = [];
+        let steps = 0;
+
+        for (let i = 0; i < replay.inputs.length; i += 2) {
+            steps += replay.inputs[i];
+            const code = replay.inputs[i + 1];
+            events.push({
+                type: code % 2 === 1 ? 'press' : 'release',
+                lane: Math.floor(code / 2),
+                time: steps / ReplayFormat.TIME_RESOLUTION
+            });
+        }
+        for (const [time, key] of replay.hotkeys) {
+            events.push({ type: 'hotkey', key: key, time: time / ReplayFormat.TIME_RESOLUTION });
+        }
+
+        // Sorting is stable, so inputs stay in recorded order and come before hotkeys at the same time
+        return events.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Validate a parsed replay object
+     * @returns {string[]} - List of errors, empty if the replay is valid
+     */
+    static validate(data) {
+        const errors = [];
+
+        if (!ChartFormat.isObject(data)) {
+            errors.push('replay: expected a JSON object');
+            return errors;
+        }
+
+        if (data.format !== ReplayFormat.FORMAT_ID) {
+            errors.push(`format: expected "${ReplayFormat.FORMAT_ID}", got ${JSON.stringify(data.format)}`);
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push(`version: expected a positive integer, got ${JSON.stringify(data.version)}`);
+        } else if (data.version > ReplayFormat.VERSION) {
+            errors.push(`version: replay version ${data.version} is newer than supported version ${ReplayFormat.VERSION}`);
+        }
+
+        if (!ChartFormat.isObject(data.song)) {
+            errors.push('song: expected an object');
+        } else {
+            for (const field of ['videoId', 'fileName']) {
+                const value = data.song[field];
+                if (value !== null && typeof value !== 'string') {
+                    errors.push(`song.${field}: expected a string or null, got ${JSON.stringify(value)}`);
+                }
+            }
+            if (!data.song.videoId && !data.song.fileName) {
+                errors.push('song: expected a videoId or a fileName');
+            }
+        }
+
+        let laneCount = KeyModes.DEFAULT_LANE_COUNT;
+        if (!ChartFormat.isObject(data.chart)) {
+            errors.push('chart: expected an object');
+        } else {
+            for (const field of ['hash', 'difficulty', 'seed']) {
+                if (typeof data.chart[field] !== 'string') {
+                    errors.push(`chart.${field}: expected a string, got ${JSON.stringify(data.chart[field])}`);
+                }
+            }
+            if (KeyModes.isSupported(data.chart.laneCount)) {
+                laneCount = data.chart.laneCount;
+            } else {
+                errors.push(`chart.laneCount: expected one of ${KeyModes.LANE_COUNTS.join(', ')}, got ${JSON.stringify(data.chart.laneCount)}`);
+            }
+            if (typeof data.chart.imported !== 'boolean') {
+                errors.push(`chart.imported: expected true or false, got ${JSON.stringify(data.chart.imported)}`);
+            }
+        }
+
+        if (!ChartFormat.isObject(data.settings)) {
+            errors.push('settings: expected an object');
+        } else {
+            const { rate, modifiers, scrollSpeed, calibrationOffset } = data.settings;
+            if (!Number.isFinite(rate) || rate <= 0) {
+                errors.push(`settings.rate: expected a positive number, got ${JSON.stringify(rate)}`);
+            }
+            if (!ChartFormat.isObject(modifiers)) {
+                errors.push('settings.modifiers: expected an object');
+            }
+            if (!ChartFormat.isObject(scrollSpeed) || !ScrollMap.MODES.includes(scrollSpeed.mode) || !Number.isFinite(scrollSpeed.speed)) {
+                errors.push(`settings.scrollSpeed: expected { mode: ${ScrollMap.MODES.join(' | ')}, speed }`);
+            }
+            if (!Number.isFinite(calibrationOffset)) {
+                errors.push(`settings.calibrationOffset: expected a number of seconds, got ${JSON.stringify(calibrationOffset)}`);
+            }
+        }
+
+        if (!ChartFormat.isObject(data.result)) {
+            errors.push('result: expected an object');
+        }
+
+        errors.push(...ReplayFormat.validateInputs(data.inputs, laneCount));
+
+        if (!Array.isArray(data.hotkeys)) {
+            errors.push('hotkeys: expected an array');
+        } else {
+            data.hotkeys.forEach((hotkey, index) => {
+                if (!Array.isArray(hotkey) || !Number.isInteger(hotkey[0]) || typeof hotkey[1] !== 'string') {
+                    errors.push(`hotkeys[${index}]: expected [time step, key], got ${JSON.stringify(hotkey)}`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the packed inputs list
+     */
+    static validateInputs(inputs, laneCount) {
+        const errors = [];
+
+        if (!Array.isArray(inputs) || inputs.length % 2 !== 0) {
+            errors.push('inputs: expected an array of [time step delta, code] pairs');
+            return errors;
+        }
+
+        for (let i = 0; i < inputs.length; i += 2) {
+            const path = `inputs[${i / 2}]`;
+            const [delta, code] = [inputs[i], inputs[i + 1]];
+
+            // The first input can come before the song starts (negative song time), later ones are in order
+            if (!Number.isInteger(delta) || (i > 0 && delta < 0)) {
+                errors.push(`${path}: expected a ${i > 0 ? 'non-negative ' : ''}integer time step delta, got ${JSON.stringify(delta)}`);
+            }
+            if (!Number.isInteger(code) || code < 0 || code >= laneCount * 2) {
+                errors.push(`${path}: expected a code from 0 to ${laneCount * 2 - 1}, got ${JSON.stringify(code)}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate replay JSON text
+     * @throws {Error} - With a list of validation errors in error.details
+     */
+    static parse(text) {
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid replay file: ${error.message}`);
+        }
+
+        const errors = ReplayFormat.validate(data);
+        if (errors.length > 0) {
+            throw ChartFormat.createError('Invalid replay file', errors);
+        }
+        return data;
+    }
+
+    /**
+     * Serialize a replay to JSON text (unindented, the inputs list is long)
+     */
+    static serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Build a file name for downloading a replay, e.g. "dQw4w9WgXcQ-hard-2024-01-01.replay.json"
+     */
+    static getFileName(replay) {
+        const base = replay.song.videoId || replay.song.fileName || 'replay';
+        const safeBase = base.replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'replay';
+        const date = replay.createdAt.slice(0, 10);
+        return `${safeBase}-${replay.chart.difficulty || 'custom'}-${date}.replay.json`;
+    }
+}
+
+ReplayFormat.FORMAT_ID = 'youtube-rhythm-game-replay';
+ReplayFormat.VERSION = 1;
+ReplayFormat.TIME_RESOLUTION = 10000; // Time steps per second (0.1ms)
+
+// Export as global
+window.ReplayFormat = ReplayFormat;
@@ -0,0 +1,59 @@
+/**
+ * Replay Player Module
+ * Plays back the inputs of a recorded replay (see ReplayFormat)
+ *
+ * Works like AutoplayBot: GameEngine feeds the presses and releases to
+ * handleKeyPress/handleKeyRelease at their recorded song times, so the run
+ * is judged exactly as it was when it was recorded.
+ */
+class ReplayPlayer {
+    /**
+     * @param {object} replay - Parsed replay (see ReplayFormat)
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.calibrationOffset = replay.settings.calibrationOffset;
+        this.events = ReplayFormat.getEvents(replay);
+        this.index = 0;          // Next event to play
+        this.held = new Set();   // Lanes whose key is down
+    }
+
+    /**
+     * Go back to the start of the replay
+     */
+    reset() {
+        this.index = 0;
+        this.held.clear();
+    }
+
+    /**
+     * Check whether a lane's key is down at this point of the replay
+     */
+    isLaneHeld(lane) {
+        return this.held.has(lane);
+    }
+
+    /**
+     * Get the recorded events due by a song time
+     * @returns {object[]} - { type: 'press' | 'release', lane, time } and { type: 'hotkey', key, time }
+     *                       in time order
+     */
+    update(currentTime) {
+        const actions = [];
+
+        while (this.index < this.events.length && this.events[this.index].time <= currentTime) {
+            const event = this.events[this.index++];
+            if (event.type === 'press') {
+                this.held.add(event.lane);
+            } else if (event.type === 'release') {
+                this.held.delete(event.lane);
+            }
+            actions.push(event);
+        }
+
+        return actions;
+    }
+}
+
+// Export as global
+window.ReplayPlayer = ReplayPlayer;
@@ -8,7 +8,9 @@ class ScoringSystem {
         this.baseScores = {
             perfect: 100,
             good: 50,
-            miss: 0
+            miss: 0,
+            holdTick: 10,   // Awarded on each tick while a hold note is held
+            mine: -50       // Lost when a mine is set off
         };
         
         // Timing windows (in seconds)
@@ -17,6 +19,9 @@ class ScoringSystem {
             good: 0.10      // ±100ms
         };
         
+        // Hold releases are judged against windows this many times wider
+        this.releaseLeniency = 2;
+        
         // Current game stats
         this.score = 0;
         this.combo = 0;
@@ -28,10 +33,15 @@ class ScoringSystem {
         this.perfectCount = 0;
         this.goodCount = 0;
         this.missCount = 0;
+        this.holdTickCount = 0;
+        this.mineHitCount = 0;
         
         // Combo multiplier settings
         this.comboThresholds = [10, 25, 50, 100];
         this.comboMultipliers = [1, 1.5, 2, 2.5, 3];
+        
+        // Multiplier from modifiers such as the playback rate, applied on top of the combo multiplier
+        this.scoreMultiplier = 1;
     }
 
     /**
@@ -46,6 +56,8 @@ class ScoringSystem {
         this.perfectCount = 0;
         this.goodCount = 0;
         this.missCount = 0;
+        this.holdTickCount = 0;
+        this.mineHitCount = 0;
     }
 
     /**
@@ -65,6 +77,16 @@ class ScoringSystem {
         return 'miss';
     }
 
+    /**
+     * Judge the release of a hold note
+     * @param {number} timeBeforeEnd - Seconds the key was released before the hold's end
+     * @returns {string} - 'perfect', 'good', or 'miss' (hold broken)
+     */
+    judgeRelease(timeBeforeEnd) {
+        if (timeBeforeEnd <= 0) return 'perfect';
+        return this.judgeHit(timeBeforeEnd / this.releaseLeniency);
+    }
+
     /**
      * Get current combo multiplier
      */
@@ -80,6 +102,13 @@ class ScoringSystem {
         return this.comboMultipliers[multiplierIndex];
     }
 
+    /**
+     * Set the modifier score multiplier (kept across resets)
+     */
+    setScoreMultiplier(multiplier) {
+        this.scoreMultiplier = multiplier;
+    }
+
     /**
      * Process a hit result
      * @param {string} result - 'perfect', 'good', or 'miss'
@@ -96,7 +125,7 @@ class ScoringSystem {
                 this.perfectCount++;
                 this.hitNotes++;
                 this.combo++;
-                multiplier = this.getComboMultiplier();
+                multiplier = this.getComboMultiplier() * this.scoreMultiplier;
                 scoreEarned = Math.floor(this.baseScores.perfect * multiplier);
                 break;
                 
@@ -104,7 +133,7 @@ class ScoringSystem {
                 this.goodCount++;
                 this.hitNotes++;
                 this.combo++;
-                multiplier = this.getComboMultiplier();
+                multiplier = this.getComboMultiplier() * this.scoreMultiplier;
                 scoreEarned = Math.floor(this.baseScores.good * multiplier);
                 break;
                 
@@ -131,6 +160,33 @@ class ScoringSystem {
         };
     }
 
+    /**
+     * Process a tick while a hold note is held (score only, no judgement)
+     */
+    processHoldTick() {
+        const multiplier = this.getComboMultiplier() * this.scoreMultiplier;
+        const scoreEarned = Math.floor(this.baseScores.holdTick * multiplier);
+        
+        this.holdTickCount++;
+        this.score += scoreEarned;
+        
+        return { scoreEarned, multiplier };
+    }
+
+    /**
+     * Process a mine set off by a press: costs score and breaks the combo,
+     * but does not count towards accuracy
+     */
+    processMineHit() {
+        const scoreLost = Math.min(this.score, -this.baseScores.mine);
+        
+        this.mineHitCount++;
+        this.combo = 0;
+        this.score -= scoreLost;
+        
+        return { scoreLost, combo: this.combo };
+    }
+
     /**
      * Process a missed note (passed without hitting)
      */
@@ -179,7 +235,9 @@ class ScoringSystem {
         return {
             perfect: this.perfectCount,
             good: this.goodCount,
-            miss: this.missCount
+            miss: this.missCount,
+            holdTicks: this.holdTickCount,
+            mines: this.mineHitCount
         };
     }
 
@@ -194,6 +252,8 @@ class ScoringSystem {
             accuracy: this.getAccuracy(),
             totalNotes: this.totalNotes,
             hitNotes: this.hitNotes,
+            totalMines: this.totalMines || 0,
+            scoreMultiplier: this.scoreMultiplier,
             breakdown: this.getBreakdown()
         };
     }
@@ -234,6 +294,13 @@ class ScoringSystem {
         this.expectedNotes = count;
     }
 
+    /**
+     * Set the number of mines in the chart (for the results screen)
+     */
+    setTotalMines(count) {
+        this.totalMines = count;
+    }
+
     /**
      * Get progress percentage
      */
@@ -241,7 +308,25 @@ class ScoringSystem {
         if (!this.expectedNotes || this.expectedNotes === 0) return 0;
         return (this.totalNotes / this.expectedNotes) * 100;
     }
+
+    /**
+     * Get the score multiplier for a playback rate: slower rates score less,
+     * faster rates a little more (0.5x -> 0.5, 1.5x -> 1.1, 2x -> 1.2)
+     */
+    static getRateMultiplier(rate) {
+        return rate < 1 ? rate : 1 + (rate - 1) * ScoringSystem.FAST_RATE_BONUS;
+    }
+
+    /**
+     * Format a playback rate as a tag, e.g. "1.5x"
+     */
+    static formatRate(rate) {
+        return `${rate}x`;
+    }
 }
 
+ScoringSystem.FAST_RATE_BONUS = 0.2; // Extra score multiplier per 1x of speed above normal
+ScoringSystem.PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
 // Export as global
 window.ScoringSystem = ScoringSystem;
@@ -0,0 +1,125 @@
+/**
+ * Scroll Map Module
+ * How far notes scroll over time: a chart's scroll velocity sections (and, in BPM-relative
+ * scroll mode, its BPM changes) integrated into a scroll position, plus the player's
+ * scroll speed setting
+ *
+ * Positions are measured in song seconds at 1x scroll: without sections a note one second
+ * away is one unit of scroll away, in a 2x section it is two.
+ */
+class ScrollMap {
+    /**
+     * @param {object[]} sections - Scroll velocity sections { time, speed } in song time;
+     *                              each speed lasts until the next section
+     * @param {number} initialSpeed - Speed before the first section
+     */
+    constructor(sections = [], initialSpeed = 1) {
+        this.sections = sections
+            .map(section => ({ time: section.time, speed: section.speed }))
+            .sort((a, b) => a.time - b.time);
+        this.initialSpeed = initialSpeed;
+
+        // Scroll position at the start of each section
+        this.positions = [];
+        let position = this.sections.length > 0 ? this.sections[0].time * initialSpeed : 0;
+        this.sections.forEach((section, index) => {
+            if (index > 0) {
+                const previous = this.sections[index - 1];
+                position += (section.time - previous.time) * previous.speed;
+            }
+            this.positions.push(position);
+        });
+    }
+
+    /**
+     * Create the scroll map of a chart
+     * @param {boolean} bpmRelative - Also scroll faster at higher BPMs (REFERENCE_BPM scrolls at 1x)
+     */
+    static fromChart(chart, bpmRelative = false) {
+        const velocities = ChartFormat.toScrollVelocities(chart);
+        if (!bpmRelative) {
+            return new ScrollMap(velocities);
+        }
+
+        // Combine both lists: every BPM or velocity change starts a section
+        const tempoMap = TempoMap.fromChart(chart);
+        const velocityMap = new ScrollMap(velocities);
+        const bpmFactor = (time) => tempoMap.pointAt(time).bpm / ScrollMap.REFERENCE_BPM;
+        const times = [...new Set([...tempoMap.points, ...velocities].map(change => change.time))].sort((a, b) => a - b);
+        const sections = times.map(time => ({ time: time, speed: velocityMap.getSpeed(time) * bpmFactor(time) }));
+
+        return new ScrollMap(sections, bpmFactor(-Infinity));
+    }
+
+    /**
+     * Get the index of the section in effect at a song time (-1 before the first section)
+     */
+    getSectionIndex(time) {
+        let low = 0;
+        let high = this.sections.length - 1;
+        let index = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.sections[middle].time <= time) {
+                index = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Get the scroll speed at a song time
+     */
+    getSpeed(time) {
+        const index = this.getSectionIndex(time);
+        return index === -1 ? this.initialSpeed : this.sections[index].speed;
+    }
+
+    /**
+     * Get the scroll position at a song time
+     */
+    getPosition(time) {
+        const index = this.getSectionIndex(time);
+        if (index === -1) {
+            return time * this.initialSpeed;
+        }
+        return this.positions[index] + (time - this.sections[index].time) * this.sections[index].speed;
+    }
+
+    /**
+     * Get how far a note at one song time still has to scroll at another
+     */
+    getDistance(fromTime, toTime) {
+        return this.getPosition(toTime) - this.getPosition(fromTime);
+    }
+
+    /**
+     * Keep a scroll speed setting within MIN_SPEED and MAX_SPEED, on SPEED_STEP steps
+     */
+    static clampSpeed(speed) {
+        const steps = Math.round((Number(speed) || 1) / ScrollMap.SPEED_STEP);
+        const value = Math.round(steps * ScrollMap.SPEED_STEP * 100) / 100;
+        return Math.max(ScrollMap.MIN_SPEED, Math.min(ScrollMap.MAX_SPEED, value));
+    }
+
+    /**
+     * Format a scroll speed setting for display, e.g. "1.5x" or "1.5x BPM"
+     */
+    static formatSpeed(scrollSpeed) {
+        const speed = `${scrollSpeed.speed.toFixed(1)}x`;
+        return scrollSpeed.mode === 'bpm' ? `${speed} BPM` : speed;
+    }
+}
+
+ScrollMap.MODES = ['constant', 'bpm']; // Constant time on screen, or BPM-relative
+ScrollMap.REFERENCE_BPM = 120;         // BPM that scrolls at 1x in BPM-relative mode
+ScrollMap.MIN_SPEED = 0.5;
+ScrollMap.MAX_SPEED = 4;
+ScrollMap.SPEED_STEP = 0.1;            // Change per scroll speed key press
+
+// Export as global
+window.ScrollMap = ScrollMap;
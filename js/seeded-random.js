@@ -0,0 +1,101 @@
+/**
+ * Seeded Random Module
+ * Deterministic pseudo-random numbers so the same inputs always produce the same chart
+ */
+class SeededRandom {
+    constructor(seed = 0) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Derive a chart seed from the video ID, difficulty and optional user seed
+     */
+    static deriveSeed(videoId, difficulty, userSeed = '') {
+        return SeededRandom.hashString(`${videoId || ''}|${difficulty || ''}|${userSeed || ''}`);
+    }
+
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a)
+     */
+    static hashString(str) {
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Format a seed as an 8-digit hex string for display
+     */
+    static formatSeed(seed) {
+        return (seed >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Generate a random user seed (for the "roll" button on the start screen)
+     */
+    static randomUserSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    /**
+     * Get the next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get an integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get an integer in [min, max)
+     */
+    range(min, max) {
+        return min + this.nextInt(max - min);
+    }
+
+    /**
+     * Get a float in [min, max)
+     */
+    nextFloat(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Return true with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+// Export as global
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,542 @@
+/**
+ * StepMania Format Module
+ * Imports StepMania simfiles (.sm and .ssc) as charts, one chart per dance-single difficulty
+ *
+ * Tags read:
+ *   #TITLE, #SUBTITLE, #ARTIST, #CREDIT, #MUSIC
+ *   #OFFSET   Seconds to subtract from beat 0 (beat 0 is at song time -OFFSET)
+ *   #BPMS     beat=bpm,beat=bpm,...
+ *   #STOPS    beat=seconds,... (the scroll pauses after the notes on that beat)
+ *   #SCROLLS  beat=factor,... (.ssc; scroll speed from that beat on, as chart scroll velocities)
+ *   #NOTES    .sm:  type:author:difficulty:meter:radar:measures
+ *             .ssc: measures, inside a #NOTEDATA block with #STEPSTYPE, #DIFFICULTY, #METER,
+ *                   #CREDIT and optional per-chart #OFFSET/#BPMS/#STOPS/#SCROLLS
+ *
+ * Measures are separated by commas; each row has one character per column:
+ * 0 empty, 1 tap, 2 hold head, 4 roll head (played as a hold), 3 hold/roll tail,
+ * M mine, L lift (played as a tap), F fake, K keysound.
+ *
+ * 4K charts can also be exported as .sm files (see serialize).
+ */
+class StepManiaFormat {
+    /**
+     * Check whether a file name looks like a StepMania simfile
+     */
+    static isSimfile(fileName) {
+        return /\.(sm|ssc)$/i.test(fileName);
+    }
+
+    /**
+     * Parse a simfile into one chart per dance-single difficulty
+     * Difficulties that fail to convert are skipped and listed in warnings
+     * @returns {object} - { charts: [{ name, difficulty, meter, chart, warnings }], warnings }
+     * @throws {Error} - With a list of problems in error.details when nothing can be played
+     */
+    static parse(text, fileName = '') {
+        const tags = StepManiaFormat.parseTags(text);
+        const isSsc = /\.ssc$/i.test(fileName) || tags.some(tag => tag.name === 'NOTEDATA');
+        const song = StepManiaFormat.getSongTags(tags);
+        const blocks = isSsc ? StepManiaFormat.getSscBlocks(tags) : StepManiaFormat.getSmBlocks(tags);
+
+        const errors = [];
+        const warnings = [];
+        const charts = [];
+        const otherTypes = new Set();
+
+        if (blocks.length === 0) {
+            errors.push('#NOTES: the simfile has no charts');
+        }
+
+        blocks.forEach(block => {
+            if (block.stepsType !== StepManiaFormat.STEPS_TYPE) {
+                otherTypes.add(block.stepsType || 'unknown');
+                return;
+            }
+
+            const name = `${block.difficulty || 'Edit'} ${block.meter}`.trim();
+            const blockErrors = [];
+            const entry = StepManiaFormat.convertBlock(block, song, name, blockErrors);
+
+            if (blockErrors.length > 0) {
+                errors.push(...blockErrors);
+                const more = blockErrors.length > 1 ? ` (and ${blockErrors.length - 1} more)` : '';
+                warnings.push(`Skipped ${blockErrors[0]}${more}`);
+            } else {
+                charts.push(entry);
+            }
+        });
+
+        if (otherTypes.size > 0) {
+            warnings.push(`Only dance-single charts can be played; skipped ${Array.from(otherTypes).join(', ')}`);
+        }
+
+        if (charts.length === 0) {
+            if (errors.length === 0) {
+                errors.push(`#NOTES: no dance-single charts (found ${Array.from(otherTypes).join(', ')})`);
+            }
+            throw ChartFormat.createError('Invalid StepMania simfile', errors);
+        }
+
+        return { charts: charts, warnings: warnings };
+    }
+
+    /**
+     * Serialize a 4K chart as a StepMania .sm file with one dance-single chart
+     * Notes are placed on the finest row grid their measure needs (up to 192nds);
+     * meters are not kept since .sm files always have four beats per measure
+     */
+    static serialize(chart) {
+        if ((chart.laneCount || KeyModes.DEFAULT_LANE_COUNT) !== StepManiaFormat.LANE_COUNT) {
+            throw new Error(`StepMania export supports ${StepManiaFormat.LANE_COUNT}K charts (dance-single) only, this chart is ${chart.laneCount}K`);
+        }
+
+        const tempoMap = TempoMap.fromChart(chart);
+        const beats = ChartFormat.toBeats(chart);
+
+        // Beat number of each timing point
+        const pointBeats = [0];
+        for (let i = 1; i < tempoMap.points.length; i++) {
+            const previous = tempoMap.points[i - 1];
+            pointBeats.push(pointBeats[i - 1] + (tempoMap.points[i].time - previous.time) * previous.bpm / 60);
+        }
+        const timeToBeat = (time) => {
+            const index = tempoMap.getPointIndex(time);
+            const point = tempoMap.points[index];
+            return pointBeats[index] + (time - point.time) * point.bpm / 60;
+        };
+
+        // Notes before beat 0 move the start of the grid back by whole measures
+        const firstBeat = beats.length > 0 ? Math.min(0, timeToBeat(beats[0].time)) : 0;
+        const shift = Math.ceil(-firstBeat / 4 - TempoMap.EPSILON) * 4;
+        const beatZeroTime = tempoMap.points[0].time - shift * 60 / tempoMap.points[0].bpm;
+
+        // Collect each measure's notes as { beat (within the measure), lane, symbol }
+        const measures = [];
+        const addSymbol = (beat, lane, symbol) => {
+            const rounded = Math.round(beat * StepManiaFormat.MAX_ROWS / 4);
+            const measure = Math.floor(rounded / StepManiaFormat.MAX_ROWS);
+            while (measures.length <= measure) measures.push([]);
+            measures[measure].push({ row: rounded - measure * StepManiaFormat.MAX_ROWS, lane: lane, symbol: symbol });
+        };
+
+        for (const beat of beats) {
+            const start = timeToBeat(beat.time) + shift;
+            const end = beat.type === 'hold' ? timeToBeat(beat.time + beat.duration) + shift : start;
+            const isHold = Math.round((end - start) * StepManiaFormat.MAX_ROWS / 4) > 0;
+
+            if (beat.type === 'mine') {
+                addSymbol(start, beat.lane, 'M');
+                continue;
+            }
+
+            addSymbol(start, beat.lane, isHold ? '2' : '1');
+            if (isHold) addSymbol(end, beat.lane, '3');
+        }
+
+        const noteData = measures.map(StepManiaFormat.formatMeasure).join('\n,\n');
+        const bpms = tempoMap.points.map((point, index) =>
+            `${StepManiaFormat.formatNumber(pointBeats[index] + (index > 0 ? shift : 0))}=${StepManiaFormat.formatNumber(point.bpm)}`
+        );
+        const difficulty = StepManiaFormat.EXPORT_DIFFICULTIES[chart.metadata.difficulty] || 'Edit';
+
+        return [
+            `#TITLE:${StepManiaFormat.escape(chart.metadata.title || chart.videoId || 'Untitled')};`,
+            '#SUBTITLE:;',
+            `#ARTIST:${StepManiaFormat.escape(chart.metadata.artist || '')};`,
+            `#CREDIT:${StepManiaFormat.escape(chart.metadata.creator || '')};`,
+            `#MUSIC:${StepManiaFormat.escape(chart.metadata.audioFilename || 'audio.ogg')};`,
+            `#OFFSET:${StepManiaFormat.formatNumber(-beatZeroTime)};`,
+            `#BPMS:${bpms.join(',')};`,
+            '#STOPS:;',
+            '',
+            `//---------------${StepManiaFormat.STEPS_TYPE} - ${difficulty}----------------`,
+            '#NOTES:',
+            `     ${StepManiaFormat.STEPS_TYPE}:`,
+            `     ${StepManiaFormat.escape(chart.metadata.creator || '')}:`,
+            `     ${difficulty}:`,
+            `     ${StepManiaFormat.EXPORT_METERS[difficulty] || 1}:`,
+            '     0,0,0,0,0:',
+            noteData || '0000\n0000\n0000\n0000',
+            ';',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Write a measure with as few rows as its notes allow
+     * @param {object[]} notes - { row (out of MAX_ROWS), lane, symbol }
+     */
+    static formatMeasure(notes) {
+        const rowCount = StepManiaFormat.ROW_COUNTS.find(count =>
+            notes.every(note => note.row % (StepManiaFormat.MAX_ROWS / count) === 0)
+        );
+        const step = StepManiaFormat.MAX_ROWS / rowCount;
+        const rows = Array.from({ length: rowCount }, () => '0'.repeat(StepManiaFormat.LANE_COUNT).split(''));
+
+        for (const note of notes) {
+            const row = rows[note.row / step];
+            // A hold end never replaces a note starting on the same row
+            if (note.symbol !== '3' || row[note.lane] === '0') {
+                row[note.lane] = note.symbol;
+            }
+        }
+
+        return rows.map(row => row.join('')).join('\n');
+    }
+
+    /**
+     * Format a number the way StepMania writes them (three decimals)
+     */
+    static formatNumber(value) {
+        return (Math.abs(value) < 0.0005 ? 0 : value).toFixed(3);
+    }
+
+    /**
+     * Remove characters that would end a tag early
+     */
+    static escape(text) {
+        return String(text).replace(/[;:#]/g, ' ').replace(/\/\//g, '/');
+    }
+
+    /**
+     * Read all #TAG:value; pairs in file order
+     * A missing semicolon ends the value at the next line starting with #, like StepMania does
+     * @returns {object[]} - { name (upper case), value }
+     */
+    static parseTags(text) {
+        const source = text.replace(/^\uFEFF/, '').replace(/\/\/[^\n]*/g, '');
+        const pattern = /#([A-Za-z0-9]+):([\s\S]*?)(?:;|(?=\r?\n\s*#)|$)/g;
+        const tags = [];
+
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            tags.push({ name: match[1].toUpperCase(), value: match[2].trim() });
+        }
+
+        return tags;
+    }
+
+    /**
+     * Get the song-wide tags (everything before the first chart)
+     */
+    static getSongTags(tags) {
+        const song = {};
+
+        for (const tag of tags) {
+            if (tag.name === 'NOTES' || tag.name === 'NOTEDATA') break;
+            song[tag.name] = tag.value;
+        }
+
+        return song;
+    }
+
+    /**
+     * Get the charts of an .sm file (each #NOTES holds six colon-separated fields)
+     */
+    static getSmBlocks(tags) {
+        return tags
+            .filter(tag => tag.name === 'NOTES')
+            .map(tag => {
+                const fields = tag.value.split(':').map(field => field.trim());
+                return {
+                    stepsType: fields[0],
+                    credit: fields[1] || '',
+                    difficulty: fields[2] || '',
+                    meter: fields[3] || '',
+                    notes: fields.length >= 6 ? fields[5] : null,
+                    timing: {}
+                };
+            });
+    }
+
+    /**
+     * Get the charts of an .ssc file (tags between #NOTEDATA markers, with optional split timing)
+     */
+    static getSscBlocks(tags) {
+        const blocks = [];
+        let block = null;
+
+        for (const tag of tags) {
+            if (tag.name === 'NOTEDATA') {
+                block = { stepsType: '', credit: '', difficulty: '', meter: '', notes: null, timing: {} };
+                blocks.push(block);
+            } else if (!block) {
+                continue;
+            } else if (tag.name === 'STEPSTYPE') {
+                block.stepsType = tag.value;
+            } else if (tag.name === 'CREDIT') {
+                block.credit = tag.value;
+            } else if (tag.name === 'DIFFICULTY') {
+                block.difficulty = tag.value;
+            } else if (tag.name === 'METER') {
+                block.meter = tag.value;
+            } else if (tag.name === 'NOTES') {
+                block.notes = tag.value;
+            } else if (StepManiaFormat.TIMING_TAGS.includes(tag.name)) {
+                block.timing[tag.name] = tag.value;
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Convert one difficulty block to a chart
+     * @returns {object} - { name, difficulty, meter, chart, warnings }
+     */
+    static convertBlock(block, song, name, errors) {
+        const timingTags = { ...song, ...block.timing };
+        const warnings = [];
+        const timing = StepManiaFormat.parseTiming(timingTags, name, errors);
+
+        if (block.notes === null) {
+            errors.push(`${name} #NOTES: expected "type:author:difficulty:meter:radar:notes"`);
+        }
+        if (errors.length > 0) return null;
+
+        const counts = { fakes: 0 };
+        const beats = StepManiaFormat.parseNotes(block.notes, timing, name, errors, counts);
+        if (errors.length > 0) return null;
+
+        if (!beats.some(beat => beat.type !== 'mine')) {
+            errors.push(`${name} #NOTES: the chart has no notes`);
+            return null;
+        }
+        if (counts.fakes > 0) {
+            warnings.push(`${counts.fakes} fake notes skipped`);
+        }
+        for (const tag of StepManiaFormat.UNSUPPORTED_TIMING_TAGS) {
+            if (timingTags[tag] && timingTags[tag] !== '') {
+                warnings.push(`#${tag} is not supported and was ignored`);
+            }
+        }
+
+        // Scroll factors that can't be played (backwards or too fast) are left out, and so are
+        // changes to the speed already in effect (many .ssc files set 1x at beat 0)
+        const playable = timing.scrolls.filter(scroll => scroll.speed >= 0 && scroll.speed <= ChartFormat.MAX_SCROLL_VELOCITY);
+        if (playable.length < timing.scrolls.length) {
+            warnings.push(`${timing.scrolls.length - playable.length} #SCROLLS changes outside 0x-${ChartFormat.MAX_SCROLL_VELOCITY}x skipped`);
+        }
+        const scrollVelocities = [];
+        for (const scroll of playable) {
+            const previous = scrollVelocities[scrollVelocities.length - 1];
+            if (previous && Math.round(previous.time * 1000) >= Math.round(scroll.time * 1000)) {
+                scrollVelocities.pop();
+            }
+            const speed = scrollVelocities.length > 0 ? scrollVelocities[scrollVelocities.length - 1].speed : 1;
+            if (scroll.speed !== speed) scrollVelocities.push(scroll);
+        }
+
+        const difficulty = block.difficulty.toLowerCase();
+        const title = [song.TITLE, song.SUBTITLE].filter(Boolean).join(' ');
+        const chart = ChartFormat.create({
+            difficulty: ['easy', 'medium', 'hard'].includes(difficulty) ? difficulty : '',
+            timingPoints: timing.timingPoints,
+            scrollVelocities: scrollVelocities,
+            laneCount: StepManiaFormat.LANE_COUNT,
+            beats: beats,
+            metadata: {
+                title: `${title} [${name}]`.trim(),
+                artist: song.ARTIST || '',
+                creator: block.credit || song.CREDIT || '',
+                audioFilename: song.MUSIC || ''
+            }
+        });
+
+        // The converted chart must pass the same checks as an imported chart file
+        const chartErrors = ChartFormat.validate(chart);
+        if (chartErrors.length > 0) {
+            errors.push(...chartErrors.map(error => `${name} ${error}`));
+            return null;
+        }
+
+        return { name: name, difficulty: block.difficulty, meter: block.meter, chart: chart, warnings: warnings };
+    }
+
+    /**
+     * Read #OFFSET, #BPMS, #STOPS and #SCROLLS
+     * @returns {object} - { offset, bpms, stops, timingPoints, scrolls } with bpms/stops as sorted
+     *                     { beat, value }, and timingPoints and scrolls ({ time, speed }) in song time
+     */
+    static parseTiming(tags, name, errors) {
+        const offset = tags.OFFSET !== undefined && tags.OFFSET !== '' ? Number(tags.OFFSET) : 0;
+        if (!Number.isFinite(offset)) {
+            errors.push(`${name} #OFFSET: expected a number of seconds, got "${tags.OFFSET}"`);
+        }
+
+        const bpms = StepManiaFormat.parseBeatValues(tags.BPMS || '', 'BPMS', name, errors);
+        const stops = StepManiaFormat.parseBeatValues(tags.STOPS || '', 'STOPS', name, errors);
+
+        if (bpms.length === 0 && !errors.some(error => error.includes('#BPMS'))) {
+            errors.push(`${name} #BPMS: expected at least one "beat=bpm" pair`);
+        }
+        for (const bpm of bpms) {
+            if (bpm.value <= 0) {
+                errors.push(`${name} #BPMS: ${bpm.value} BPM at beat ${bpm.beat} is not supported (negative BPM warps can't be played)`);
+            }
+        }
+        for (const stop of stops) {
+            if (stop.value < 0) {
+                errors.push(`${name} #STOPS: ${stop.value}s at beat ${stop.beat} is not supported (negative stops can't be played)`);
+            }
+        }
+
+        const scrolls = StepManiaFormat.parseBeatValues(tags.SCROLLS || '', 'SCROLLS', name, errors);
+        const timing = { offset: offset, bpms: bpms, stops: stops, timingPoints: [], scrolls: [] };
+        if (errors.length > 0) return timing;
+
+        // The first BPM also applies before its beat
+        bpms[0] = { beat: 0, value: bpms[0].value };
+
+        // Each BPM change starts a new grid; so does the end of a stop, since the
+        // beats after it are shifted by the stop's length
+        const points = [];
+        const addPoint = (time, bpm) => {
+            const previous = points[points.length - 1];
+            if (previous && Math.round(previous.time * 1000) >= Math.round(time * 1000)) {
+                points.pop();
+            }
+            points.push({ time: time, bpm: bpm, meter: 4 });
+        };
+
+        const changes = [
+            ...bpms.map(bpm => ({ beat: bpm.beat, isStop: false })),
+            ...stops.filter(stop => stop.value > 0).map(stop => ({ beat: stop.beat, isStop: true, value: stop.value }))
+        ].sort((a, b) => a.beat - b.beat || a.isStop - b.isStop);
+
+        for (const change of changes) {
+            const time = StepManiaFormat.beatToTime(change.beat, timing);
+            const bpm = StepManiaFormat.bpmAt(change.beat, bpms);
+            addPoint(change.isStop ? time + change.value : time, bpm);
+        }
+
+        timing.timingPoints = points;
+        timing.scrolls = scrolls.map(scroll => ({ time: StepManiaFormat.beatToTime(scroll.beat, timing), speed: scroll.value }));
+        return timing;
+    }
+
+    /**
+     * Read a "beat=value,beat=value" list
+     * @returns {object[]} - { beat, value } sorted by beat
+     */
+    static parseBeatValues(text, tagName, name, errors) {
+        const pairs = [];
+
+        for (const item of text.split(',')) {
+            if (item.trim() === '') continue;
+
+            const [beat, value] = item.split('=').map(Number);
+            if (!Number.isFinite(beat) || !Number.isFinite(value) || beat < 0) {
+                errors.push(`${name} #${tagName}: expected "beat=value", got "${item.trim()}"`);
+                continue;
+            }
+            pairs.push({ beat: beat, value: value });
+        }
+
+        return pairs.sort((a, b) => a.beat - b.beat);
+    }
+
+    /**
+     * Get the BPM in effect at a beat
+     */
+    static bpmAt(beat, bpms) {
+        let bpm = bpms[0].value;
+        for (const change of bpms) {
+            if (change.beat > beat) break;
+            bpm = change.value;
+        }
+        return bpm;
+    }
+
+    /**
+     * Convert a beat to song time, applying BPM changes and the stops before it
+     * (a stop on the note's own beat happens after the note)
+     */
+    static beatToTime(beat, timing) {
+        const { bpms, stops } = timing;
+        let time = -timing.offset;
+
+        for (let i = 0; i < bpms.length; i++) {
+            const start = bpms[i].beat;
+            const end = i + 1 < bpms.length ? Math.min(bpms[i + 1].beat, beat) : beat;
+            if (end <= start) break;
+            time += (end - start) * 60 / bpms[i].value;
+        }
+
+        for (const stop of stops) {
+            if (stop.beat >= beat) break;
+            time += stop.value;
+        }
+
+        return time;
+    }
+
+    /**
+     * Read the note measures of a chart
+     * @param {object} counts - Receives the number of skipped fakes
+     * @returns {object[]} - Beats { time, lane, type, duration, intensity } in song time
+     */
+    static parseNotes(text, timing, name, errors, counts) {
+        const beats = [];
+        const openHolds = new Array(StepManiaFormat.LANE_COUNT).fill(null);
+        const measures = text.split(',');
+
+        measures.forEach((measure, measureIndex) => {
+            const rows = measure.split(/\s+/).filter(row => row !== '');
+
+            rows.forEach((row, rowIndex) => {
+                const where = `${name} #NOTES measure ${measureIndex + 1} row ${rowIndex + 1}`;
+                if (row.length !== StepManiaFormat.LANE_COUNT) {
+                    errors.push(`${where}: expected ${StepManiaFormat.LANE_COUNT} columns, got "${row}"`);
+                    return;
+                }
+
+                const beat = measureIndex * 4 + (rowIndex / rows.length) * 4;
+                const time = StepManiaFormat.beatToTime(beat, timing);
+
+                for (let lane = 0; lane < row.length; lane++) {
+                    const symbol = row[lane].toUpperCase();
+
+                    if (symbol === '1' || symbol === 'L') {
+                        beats.push({ time: time, lane: lane, type: 'tap', duration: 0, intensity: 1 });
+                    } else if (symbol === '2' || symbol === '4') {
+                        const beat = { time: time, lane: lane, type: 'hold', duration: 0, intensity: 1 };
+                        openHolds[lane] = beat;
+                        beats.push(beat);
+                    } else if (symbol === '3') {
+                        if (!openHolds[lane]) {
+                            errors.push(`${where}: hold end in column ${lane + 1} without a hold start`);
+                            continue;
+                        }
+                        openHolds[lane].duration = time - openHolds[lane].time;
+                        openHolds[lane] = null;
+                    } else if (symbol === 'M') {
+                        beats.push({ time: time, lane: lane, type: 'mine', duration: 0, intensity: 1 });
+                    } else if (symbol === 'F') {
+                        counts.fakes++;
+                    } else if (symbol !== '0' && symbol !== 'K') {
+                        errors.push(`${where}: unknown note "${row[lane]}" in column ${lane + 1}`);
+                    }
+                }
+            });
+        });
+
+        openHolds.forEach((hold, lane) => {
+            if (hold) errors.push(`${name} #NOTES: hold in column ${lane + 1} at ${hold.time.toFixed(3)}s never ends`);
+        });
+
+        return beats;
+    }
+}
+
+StepManiaFormat.STEPS_TYPE = 'dance-single';
+StepManiaFormat.LANE_COUNT = 4;
+StepManiaFormat.MAX_ROWS = 192; // Finest measure subdivision
+StepManiaFormat.ROW_COUNTS = [4, 8, 12, 16, 24, 32, 48, 64, 96, 192];
+StepManiaFormat.EXPORT_DIFFICULTIES = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+StepManiaFormat.EXPORT_METERS = { Easy: 3, Medium: 6, Hard: 9 };
+StepManiaFormat.TIMING_TAGS = ['OFFSET', 'BPMS', 'STOPS', 'DELAYS', 'WARPS', 'SPEEDS', 'SCROLLS', 'FAKES'];
+StepManiaFormat.UNSUPPORTED_TIMING_TAGS = ['DELAYS', 'WARPS', 'SPEEDS', 'FAKES'];
+
+// Export as global
+window.StepManiaFormat = StepManiaFormat;
@@ -0,0 +1,358 @@
+/**
+ * Tap Tempo Module
+ * Measures a video's BPM and first-beat offset from the user tapping along,
+ * one section at a time for songs with tempo changes
+ */
+class TapTempo {
+    constructor(youtubePlayer, uiManager, tempoManager) {
+        this.youtubePlayer = youtubePlayer;
+        this.uiManager = uiManager;
+        this.tempoManager = tempoManager;
+
+        // UI elements
+        this.elements = {
+            indicator: document.getElementById('tap-indicator'),
+            count: document.getElementById('tap-count'),
+            bpm: document.getElementById('tap-bpm'),
+            offset: document.getElementById('tap-offset'),
+            error: document.getElementById('tap-error'),
+            status: document.getElementById('tap-status'),
+            resetBtn: document.getElementById('tap-reset-btn'),
+            addBtn: document.getElementById('tap-add-btn'),
+            saveBtn: document.getElementById('tap-save-btn'),
+            clearBtn: document.getElementById('tap-clear-btn'),
+            backBtn: document.getElementById('tap-back-btn')
+        };
+
+        // Tap state (times are song times, calibration applied like GameEngine)
+        this.url = '';
+        this.videoId = null;
+        this.taps = [];
+        this.result = null;
+        this.sections = []; // Timing points of finished sections (song time)
+        this.sectionTapCount = 0;
+        this.minTaps = 8;
+        this.tapKeys = [' ', 't'];
+        this.calibrationOffset = 0;
+
+        // Playback time interpolation (same approach as GameEngine)
+        this.lastPlayerTime = 0;
+        this.lastPlayerTimeUpdate = 0;
+
+        // State
+        this.isOpen = false;
+        this.lastBeat = null;
+        this.animationFrameId = null;
+
+        // Callbacks
+        this.onExit = null;
+
+        // Bind methods
+        this.loop = this.loop.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize all event listeners
+     */
+    initEventListeners() {
+        this.elements.resetBtn.addEventListener('click', () => this.reset(true));
+        this.elements.addBtn.addEventListener('click', () => this.addTempoChange());
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+        this.elements.clearBtn.addEventListener('click', () => this.clearSaved());
+        this.elements.backBtn.addEventListener('click', () => this.exit());
+    }
+
+    /**
+     * Open the tap tempo screen for a video and start playback
+     */
+    async open(url, calibrationOffset = 0) {
+        this.url = url;
+        this.videoId = this.youtubePlayer.extractVideoId(url);
+        this.calibrationOffset = calibrationOffset;
+
+        try {
+            this.uiManager.showScreen('loading');
+            this.uiManager.updateLoadingProgress(20, 'Initializing YouTube player...');
+            await this.youtubePlayer.init();
+            this.uiManager.updateLoadingProgress(60, 'Loading video...');
+            await this.youtubePlayer.loadVideo(url);
+        } catch (error) {
+            console.error('Failed to open tap tempo:', error);
+            this.uiManager.showScreen('start');
+            this.uiManager.showError(error.message || 'Failed to load video');
+            return;
+        }
+
+        this.uiManager.showScreen('tap');
+        this.isOpen = true;
+        this.reset(false);
+        this.showSavedTempo();
+
+        window.addEventListener('keydown', this.handleKeyDown);
+        this.youtubePlayer.play();
+        this.animationFrameId = requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Leave the tap tempo screen
+     */
+    exit() {
+        this.isOpen = false;
+        window.removeEventListener('keydown', this.handleKeyDown);
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.youtubePlayer.stop();
+        if (this.onExit) this.onExit();
+    }
+
+    /**
+     * Clear taps and tempo changes, optionally restarting the video
+     */
+    reset(restartVideo) {
+        this.taps = [];
+        this.result = null;
+        this.sections = [];
+        this.sectionTapCount = 0;
+        this.updateDisplay();
+
+        if (restartVideo) {
+            this.youtubePlayer.seekTo(0);
+            this.youtubePlayer.play();
+        }
+    }
+
+    /**
+     * Get the current song time with interpolation and calibration
+     */
+    getSongTime(now = performance.now()) {
+        const timeSinceUpdate = (now - this.lastPlayerTimeUpdate) / 1000;
+
+        if (timeSinceUpdate > 0.1 || !this.youtubePlayer.isVideoPlaying()) {
+            this.lastPlayerTime = this.youtubePlayer.getCurrentTime();
+            this.lastPlayerTimeUpdate = now;
+            return this.lastPlayerTime + this.calibrationOffset;
+        }
+
+        return this.lastPlayerTime + timeSinceUpdate + this.calibrationOffset;
+    }
+
+    /**
+     * Record a tap
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.exit();
+            return;
+        }
+
+        if (!this.tapKeys.includes(event.key.toLowerCase()) || event.repeat) return;
+        event.preventDefault();
+
+        if (!this.youtubePlayer.isVideoPlaying()) return;
+
+        this.taps.push(this.getSongTime());
+        this.result = this.fit();
+        this.updateDisplay();
+        this.flash();
+    }
+
+    /**
+     * Fit a tempo grid to the taps
+     * The median tap interval gives a coarse beat length (not clamped or rounded, so any
+     * tempo works); each tap is then numbered by the beat it landed on and a least-squares
+     * line through (beat number, tap time) gives the exact beat length and phase
+     * @returns {object|null} - { bpm, offset, anchor, error } with offset = song time of beat 0
+     *                          and anchor = fitted time of the first tap
+     */
+    fit() {
+        if (this.taps.length < this.minTaps) return null;
+
+        const taps = this.taps;
+        const intervals = taps.slice(1).map((time, i) => time - taps[i]).sort((a, b) => a - b);
+        const coarseInterval = intervals[Math.floor(intervals.length / 2)];
+        if (!(coarseInterval > 0)) return null;
+
+        const beats = taps.map(time => Math.round((time - taps[0]) / coarseInterval));
+
+        const n = taps.length;
+        const meanBeat = beats.reduce((a, b) => a + b, 0) / n;
+        const meanTime = taps.reduce((a, b) => a + b, 0) / n;
+
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (beats[i] - meanBeat) * (taps[i] - meanTime);
+            variance += (beats[i] - meanBeat) * (beats[i] - meanBeat);
+        }
+        if (variance === 0) return null;
+
+        const interval = covariance / variance;
+        const intercept = meanTime - interval * meanBeat;
+
+        // Timing error of the taps against the fitted grid
+        let squaredError = 0;
+        for (let i = 0; i < n; i++) {
+            const residual = taps[i] - (intercept + beats[i] * interval);
+            squaredError += residual * residual;
+        }
+
+        // Phase: the first grid beat at or after the start of the song
+        let offset = intercept % interval;
+        if (offset < 0) offset += interval;
+
+        return {
+            bpm: Math.round((60 / interval) * 100) / 100,
+            offset: Math.round(offset * 1000) / 1000,
+            anchor: Math.round(intercept * 1000) / 1000,
+            error: Math.sqrt(squaredError / n)
+        };
+    }
+
+    /**
+     * Get the timing points measured so far (finished sections plus the current fit)
+     * The first section's grid runs from the start of the song; later sections
+     * start at their first tap
+     */
+    getTimingPoints() {
+        const points = this.sections.slice();
+
+        if (this.result) {
+            points.push({
+                time: points.length === 0 ? this.result.offset : this.result.anchor,
+                bpm: this.result.bpm,
+                meter: 4
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Finish the current section so the next taps measure a new tempo
+     */
+    addTempoChange() {
+        if (!this.result) return;
+
+        this.sections = this.getTimingPoints();
+        this.sectionTapCount += this.taps.length;
+        this.taps = [];
+        this.result = null;
+
+        const last = this.sections[this.sections.length - 1];
+        this.elements.status.textContent =
+            `Section ${this.sections.length} kept at ${last.bpm} BPM. Tap along from the next tempo change.`;
+        this.updateDisplay();
+    }
+
+    /**
+     * Save the measured tempo map for this video
+     */
+    save() {
+        const points = this.getTimingPoints();
+        if (points.length === 0) return;
+
+        this.tempoManager.setTempo(this.videoId, points, this.sectionTapCount + this.taps.length);
+        this.elements.status.textContent = points.length > 1
+            ? `Saved! Charts for this video now use ${points.length} tempo sections.`
+            : `Saved! Charts for this video now use ${points[0].bpm} BPM.`;
+        this.updateDisplay();
+    }
+
+    /**
+     * Forget the saved tempo for this video
+     */
+    clearSaved() {
+        this.tempoManager.removeTempo(this.videoId);
+        this.showSavedTempo();
+        this.updateDisplay();
+    }
+
+    /**
+     * Show the tempo currently stored for this video
+     */
+    showSavedTempo() {
+        const saved = this.tempoManager.getTempoMap(this.videoId);
+        if (!saved) {
+            this.elements.status.textContent = 'No tempo saved for this video yet.';
+            return;
+        }
+
+        const first = saved.points[0];
+        const changes = saved.points.length > 1 ? ` (+${saved.points.length - 1} tempo changes)` : '';
+        this.elements.status.textContent =
+            `Saved tempo: ${first.bpm} BPM, first beat at ${Math.round(first.time * 1000)}ms${changes}`;
+    }
+
+    /**
+     * Update the tap statistics
+     */
+    updateDisplay() {
+        this.elements.count.textContent = this.taps.length;
+
+        if (this.result) {
+            this.elements.bpm.textContent = this.result.bpm;
+            // Later sections show where they start rather than the grid phase
+            const start = this.sections.length === 0 ? this.result.offset : this.result.anchor;
+            this.elements.offset.textContent = `${Math.round(start * 1000)}ms`;
+            this.elements.error.textContent = `±${Math.round(this.result.error * 1000)}ms`;
+        } else {
+            const remaining = this.minTaps - this.taps.length;
+            this.elements.bpm.textContent = remaining > 0 ? `${remaining} more` : '--';
+            this.elements.offset.textContent = '--';
+            this.elements.error.textContent = '--';
+        }
+
+        this.elements.addBtn.disabled = !this.result;
+        this.elements.saveBtn.disabled = !this.result && this.sections.length === 0;
+        this.elements.clearBtn.disabled = !this.tempoManager.getTempo(this.videoId);
+    }
+
+    /**
+     * Flash the tap indicator
+     */
+    flash(className = 'tap') {
+        const indicator = this.elements.indicator;
+        indicator.classList.remove('tap', 'beat');
+        void indicator.offsetWidth; // Restart the animation
+        indicator.classList.add(className);
+    }
+
+    /**
+     * Pulse the indicator on the fitted grid so the user can check it
+     */
+    loop() {
+        if (!this.isOpen) return;
+
+        const points = this.getTimingPoints();
+        if (points.length > 0 && this.youtubePlayer.isVideoPlaying()) {
+            const tempoMap = new TempoMap(points);
+            const time = this.getSongTime();
+            const index = tempoMap.getPointIndex(time);
+            const point = tempoMap.points[index];
+            const beat = `${index}:${Math.floor((time - point.time) * point.bpm / 60)}`;
+            if (beat !== this.lastBeat) {
+                this.lastBeat = beat;
+                this.flash('beat');
+            }
+        }
+
+        this.animationFrameId = requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Set callbacks
+     */
+    setCallbacks(callbacks) {
+        if (callbacks.onExit) this.onExit = callbacks.onExit;
+    }
+}
+
+// Export as global
+window.TapTempo = TapTempo;
@@ -0,0 +1,84 @@
+/**
+ * Tempo Manager Module
+ * Stores tapped tempo maps (BPM, beat offset and tempo changes) per video in localStorage
+ */
+class TempoManager {
+    constructor() {
+        this.storageKey = 'rhythmGameTempo';
+        this.tempos = this.loadTempos();
+    }
+
+    /**
+     * Load tempos from localStorage
+     */
+    loadTempos() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Failed to load tempos:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save tempos to localStorage
+     */
+    saveTempos() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.tempos));
+        } catch (error) {
+            console.error('Failed to save tempos:', error);
+        }
+    }
+
+    /**
+     * Get the measured tempo for a video
+     * @returns {object|null} - { bpm, offset, timingPoints, tapCount, measuredAt }
+     *                          (bpm/offset are those of the first timing point)
+     */
+    getTempo(videoId) {
+        return (videoId && this.tempos[videoId]) || null;
+    }
+
+    /**
+     * Get the measured tempo for a video as a TempoMap
+     */
+    getTempoMap(videoId) {
+        const tempo = this.getTempo(videoId);
+        if (!tempo) return null;
+
+        // Tempos saved before tempo changes were supported only have bpm/offset
+        return tempo.timingPoints
+            ? new TempoMap(tempo.timingPoints)
+            : TempoMap.constant(tempo.bpm, tempo.offset);
+    }
+
+    /**
+     * Store the measured tempo for a video
+     * @param {object[]} timingPoints - Timing points { time, bpm, meter } in song time
+     */
+    setTempo(videoId, timingPoints, tapCount = 0) {
+        if (!videoId || timingPoints.length === 0) return;
+
+        this.tempos[videoId] = {
+            bpm: timingPoints[0].bpm,
+            offset: timingPoints[0].time,
+            timingPoints: timingPoints,
+            tapCount: tapCount,
+            measuredAt: Date.now()
+        };
+        this.saveTempos();
+    }
+
+    /**
+     * Forget the measured tempo for a video
+     */
+    removeTempo(videoId) {
+        delete this.tempos[videoId];
+        this.saveTempos();
+    }
+}
+
+// Export as global
+window.TempoManager = TempoManager;
@@ -0,0 +1,169 @@
+/**
+ * Tempo Map Module
+ * Timing points (BPM and meter changes) and the beat grid they define
+ */
+class TempoMap {
+    /**
+     * @param {object[]} points - Timing points { time, bpm, meter } in song time;
+     *                            each point starts a new beat grid at its time
+     */
+    constructor(points = [{ time: 0, bpm: 120, meter: 4 }]) {
+        if (points.length === 0) {
+            throw new Error('A tempo map needs at least one timing point');
+        }
+
+        this.points = points
+            .map(point => ({ time: point.time, bpm: point.bpm, meter: point.meter || 4 }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Create a tempo map with a single BPM
+     */
+    static constant(bpm, offset = 0, meter = 4) {
+        return new TempoMap([{ time: offset, bpm: bpm, meter: meter }]);
+    }
+
+    /**
+     * Create the tempo map of a chart
+     */
+    static fromChart(chart) {
+        return new TempoMap(ChartFormat.toTimingPoints(chart));
+    }
+
+    /**
+     * Get the index of the timing point in effect at a song time
+     * (times before the first point use the first point's grid)
+     */
+    getPointIndex(time) {
+        let index = 0;
+        for (let i = 1; i < this.points.length; i++) {
+            if (this.points[i].time > time + TempoMap.EPSILON) break;
+            index = i;
+        }
+        return index;
+    }
+
+    /**
+     * Get the timing point in effect at a song time
+     */
+    pointAt(time) {
+        return this.points[this.getPointIndex(time)];
+    }
+
+    /**
+     * Get the length of one beat in seconds at a song time
+     */
+    getBeatInterval(time) {
+        return 60 / this.pointAt(time).bpm;
+    }
+
+    /**
+     * Get the song time where a timing point's section ends
+     */
+    getSectionEnd(index) {
+        return index + 1 < this.points.length ? this.points[index + 1].time : Infinity;
+    }
+
+    /**
+     * Snap a song time to the grid (divisor = grid lines per beat)
+     */
+    snapTime(time, divisor = 1) {
+        const index = this.getPointIndex(time);
+        const point = this.points[index];
+        const step = 60 / point.bpm / divisor;
+        const snapped = point.time + Math.round((time - point.time) / step) * step;
+        return Math.min(snapped, this.getSectionEnd(index));
+    }
+
+    /**
+     * Get grid lines between two song times
+     * @returns {object[]} - { time, isBeat, isMeasure }
+     */
+    getGridLines(startTime, endTime, divisor = 1) {
+        const lines = [];
+
+        this.points.forEach((point, index) => {
+            const sectionEnd = this.getSectionEnd(index);
+            const from = index === 0 ? startTime : Math.max(startTime, point.time);
+            const to = Math.min(endTime, sectionEnd - TempoMap.EPSILON);
+            if (from > to) return;
+
+            const step = 60 / point.bpm / divisor;
+            const first = Math.ceil((from - point.time) / step - TempoMap.EPSILON);
+
+            for (let i = first; point.time + i * step <= to; i++) {
+                const beat = i / divisor;
+                const isBeat = Number.isInteger(beat);
+                lines.push({
+                    time: point.time + i * step,
+                    isBeat: isBeat,
+                    isMeasure: isBeat && ((beat % point.meter) + point.meter) % point.meter === 0
+                });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Get the measures overlapping a time range; a measure cut short by the next
+     * timing point ends at that point
+     * @returns {object[]} - { time, endTime, beatInterval, meter }
+     */
+    getMeasures(startTime, endTime) {
+        const measures = [];
+
+        this.points.forEach((point, index) => {
+            const sectionEnd = this.getSectionEnd(index);
+            const beatInterval = 60 / point.bpm;
+            const measureLength = beatInterval * point.meter;
+            const from = index === 0 ? startTime : Math.max(startTime, point.time);
+            const to = Math.min(endTime, sectionEnd);
+
+            const first = Math.floor((from - point.time) / measureLength + TempoMap.EPSILON);
+
+            for (let k = first; point.time + k * measureLength < to; k++) {
+                const time = point.time + k * measureLength;
+                measures.push({
+                    time: time,
+                    endTime: Math.min(time + measureLength, sectionEnd),
+                    beatInterval: beatInterval,
+                    meter: point.meter
+                });
+            }
+        });
+
+        return measures;
+    }
+
+    /**
+     * Add a timing point, replacing any point at the same time
+     */
+    addPoint(time, bpm, meter = 4) {
+        this.points = this.points.filter(point => Math.abs(point.time - time) > TempoMap.EPSILON);
+        this.points.push({ time: time, bpm: bpm, meter: meter });
+        this.points.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Remove a timing point (the first point can't be removed)
+     */
+    removePoint(point) {
+        if (this.points.length > 1 && point !== this.points[0]) {
+            this.points = this.points.filter(p => p !== point);
+        }
+    }
+
+    /**
+     * Copy the timing points
+     */
+    clonePoints() {
+        return this.points.map(point => ({ ...point }));
+    }
+}
+
+TempoMap.EPSILON = 1e-6;
+
+// Export as global
+window.TempoMap = TempoMap;
@@ -10,6 +10,8 @@ class UIManager {
             loading: document.getElementById('loading-screen'),
             game: document.getElementById('game-screen'),
             pause: document.getElementById('pause-screen'),
+            editor: document.getElementById('editor-screen'),
+            tap: document.getElementById('tap-screen'),
             results: document.getElementById('results-screen')
         };
         
@@ -18,21 +20,88 @@ class UIManager {
             // Start screen
             urlInput: document.getElementById('youtube-url'),
             startBtn: document.getElementById('start-btn'),
-            difficultyBtns: document.querySelectorAll('.diff-btn'),
+            difficultyButtons: document.getElementById('difficulty-buttons'),
+            difficultyBtns: document.querySelectorAll('.diff-btn[data-difficulty]'),
+            newProfileBtn: document.getElementById('new-profile-btn'),
+            editProfileBtn: document.getElementById('edit-profile-btn'),
+            profileEditor: document.getElementById('profile-editor'),
+            profileName: document.getElementById('profile-name'),
+            profileBpmMin: document.getElementById('profile-bpm-min'),
+            profileBpmMax: document.getElementById('profile-bpm-max'),
+            profileDensity: document.getElementById('profile-density'),
+            profileEighths: document.getElementById('profile-eighths'),
+            profileSixteenths: document.getElementById('profile-sixteenths'),
+            profileChords: document.getElementById('profile-chords'),
+            profileMines: document.getElementById('profile-mines'),
+            profileMinGap: document.getElementById('profile-min-gap'),
+            profileHealthDrain: document.getElementById('profile-health-drain'),
+            profileHint: document.getElementById('profile-hint'),
+            saveProfileBtn: document.getElementById('save-profile-btn'),
+            deleteProfileBtn: document.getElementById('delete-profile-btn'),
+            cancelProfileBtn: document.getElementById('cancel-profile-btn'),
+            keysBtns: document.querySelectorAll('.keys-btn'),
+            keysHint: document.getElementById('keys-hint'),
+            practiceToggle: document.getElementById('practice-toggle'),
+            laneModifierSelect: document.getElementById('lane-modifier-select'),
+            modifierToggles: document.getElementById('modifier-toggles'),
+            noFailToggle: document.getElementById('no-fail-toggle'),
+            suddenDeathToggle: document.getElementById('sudden-death-toggle'),
+            perfectOnlyToggle: document.getElementById('perfect-only-toggle'),
+            hiddenToggle: document.getElementById('hidden-toggle'),
+            suddenToggle: document.getElementById('sudden-toggle'),
+            laneCoverSlider: document.getElementById('lane-cover-slider'),
+            laneCoverValue: document.getElementById('lane-cover-value'),
+            autoplayToggle: document.getElementById('autoplay-toggle'),
+            autoplayJitterSelect: document.getElementById('autoplay-jitter-select'),
+            scrollModeSelect: document.getElementById('scroll-mode-select'),
+            scrollSpeedSlider: document.getElementById('scroll-speed-slider'),
+            scrollSpeedValue: document.getElementById('scroll-speed-value'),
+            scrollSpeedDisplay: document.getElementById('scroll-speed-display'),
+            rateSelect: document.getElementById('rate-select'),
+            rateHint: document.getElementById('rate-hint'),
             errorMessage: document.getElementById('error-message'),
             calibrationSlider: document.getElementById('calibration-slider'),
             calibrationValue: document.getElementById('calibration-value'),
+            seedInput: document.getElementById('seed-input'),
+            seedRollBtn: document.getElementById('seed-roll-btn'),
+            importChartBtn: document.getElementById('import-chart-btn'),
+            exportChartBtn: document.getElementById('export-chart-btn'),
+            exportFormatSelect: document.getElementById('export-format-select'),
+            chartFileInput: document.getElementById('chart-file-input'),
+            loadedChart: document.getElementById('loaded-chart'),
+            loadedChartLabel: document.getElementById('loaded-chart-label'),
+            loadedChartSelect: document.getElementById('loaded-chart-select'),
+            clearChartBtn: document.getElementById('clear-chart-btn'),
+            openEditorBtn: document.getElementById('open-editor-btn'),
+            openTapBtn: document.getElementById('open-tap-btn'),
+            loadReplayBtn: document.getElementById('load-replay-btn'),
+            replayFileInput: document.getElementById('replay-file-input'),
+            localFileDrop: document.getElementById('local-file-drop'),
+            browseLocalBtn: document.getElementById('browse-local-btn'),
+            localFileInput: document.getElementById('local-file-input'),
+            localFile: document.getElementById('local-file'),
+            localFileLabel: document.getElementById('local-file-label'),
+            clearLocalBtn: document.getElementById('clear-local-btn'),
             
             // Loading screen
             progressBar: document.getElementById('progress-bar'),
             loadingStatus: document.getElementById('loading-status'),
+            loadingRating: document.getElementById('loading-rating'),
+            loadingRatingLabel: document.getElementById('loading-rating-label'),
+            loadingNpsGraph: document.getElementById('loading-nps-graph'),
             
             // Game screen
             score: document.getElementById('score'),
             combo: document.getElementById('combo'),
             accuracy: document.getElementById('accuracy'),
+            hudRating: document.getElementById('hud-rating'),
             countdown: document.getElementById('countdown'),
+            failOverlay: document.getElementById('fail-overlay'),
+            modifierBadges: document.getElementById('modifier-badges'),
             hitFeedback: document.getElementById('hit-feedback'),
+            practicePanel: document.getElementById('practice-panel'),
+            practiceLoop: document.getElementById('practice-loop'),
+            practiceLoopList: document.getElementById('practice-loop-list'),
             
             // Pause screen
             resumeBtn: document.getElementById('resume-btn'),
@@ -40,14 +109,32 @@ class UIManager {
             quitBtn: document.getElementById('quit-btn'),
             
             // Results screen
+            resultsTitle: document.getElementById('results-title'),
             finalScore: document.getElementById('final-score'),
+            finalRate: document.getElementById('final-rate'),
+            finalModifiers: document.getElementById('final-modifiers'),
             maxCombo: document.getElementById('max-combo'),
             finalAccuracy: document.getElementById('final-accuracy'),
             perfectCount: document.getElementById('perfect-count'),
             goodCount: document.getElementById('good-count'),
             missCount: document.getElementById('miss-count'),
+            mineBreakdown: document.getElementById('mine-breakdown'),
+            mineCount: document.getElementById('mine-count'),
+            finalSeed: document.getElementById('final-seed'),
+            finalRating: document.getElementById('final-rating'),
+            finalRatingDetails: document.getElementById('final-rating-details'),
+            resultsNpsGraph: document.getElementById('results-nps-graph'),
+            practiceResults: document.getElementById('practice-results'),
+            practiceResultsList: document.getElementById('practice-results-list'),
             playAgainBtn: document.getElementById('play-again-btn'),
             newSongBtn: document.getElementById('new-song-btn'),
+            watchReplayBtn: document.getElementById('watch-replay-btn'),
+            downloadReplayBtn: document.getElementById('download-replay-btn'),
+            
+            // Saved charts
+            savedChartsSection: document.getElementById('saved-charts-section'),
+            savedChartsTitle: document.getElementById('saved-charts-title'),
+            savedChartList: document.getElementById('saved-chart-list'),
             
             // History
             historySection: document.getElementById('history-section'),
@@ -57,7 +144,13 @@ class UIManager {
         // Current state
         this.currentScreen = 'start';
         this.selectedDifficulty = 'medium';
+        this.selectedLaneCount = KeyModes.DEFAULT_LANE_COUNT;
+        this.selectedRate = 1;
         this.calibrationOffset = 0.15; // Default 150ms in seconds
+        this.loadedChart = null; // Chart imported from a file (see ChartFormat)
+        this.loadedSimfile = null; // StepMania simfile the loaded chart was picked from
+        this.localFile = null;   // Local audio/video file to play instead of YouTube
+        this.editingProfileId = null; // Custom difficulty open in the profile editor (null for a new one)
         
         // Callbacks
         this.onStart = null;
@@ -67,9 +160,18 @@ class UIManager {
         this.onPlayAgain = null;
         this.onNewSong = null;
         this.onHistorySelect = null;
+        this.onExportChart = null;
+        this.onOpenEditor = null;
+        this.onOpenTapTempo = null;
+        this.onLoadReplay = null;
+        this.onWatchReplay = null;
+        this.onDownloadReplay = null;
         
-        // History manager reference
+        // History manager, chart store and custom difficulty profile references
         this.historyManager = null;
+        this.chartStore = null;
+        this.difficultyProfiles = null;
+        this.savedChartsRender = 0; // Number of the latest saved chart list render (older ones are dropped)
         
         // Feedback timeout
         this.feedbackTimeout = null;
@@ -94,13 +196,75 @@ class UIManager {
             }
         });
         
-        // Difficulty buttons
-        this.elements.difficultyBtns.forEach(btn => {
+        // Saved charts follow the video in the URL field
+        this.elements.urlInput.addEventListener('input', () => {
+            this.renderSavedCharts();
+        });
+        
+        // Difficulty buttons (custom profile buttons come and go, so listen on the container)
+        this.elements.difficultyButtons.addEventListener('click', (e) => {
+            const btn = e.target.closest('.diff-btn[data-difficulty]');
+            if (btn) this.selectDifficulty(btn.dataset.difficulty);
+        });
+        
+        // Custom difficulty profile editor
+        this.elements.newProfileBtn.addEventListener('click', () => {
+            this.openProfileEditor(null);
+        });
+        
+        this.elements.editProfileBtn.addEventListener('click', () => {
+            this.openProfileEditor(this.difficultyProfiles.getProfile(this.selectedDifficulty));
+        });
+        
+        this.elements.profileEditor.addEventListener('input', (e) => {
+            this.updateProfileEditor(e.target);
+        });
+        
+        this.elements.saveProfileBtn.addEventListener('click', () => {
+            this.saveEditedProfile();
+        });
+        
+        this.elements.deleteProfileBtn.addEventListener('click', () => {
+            this.deleteEditedProfile();
+        });
+        
+        this.elements.cancelProfileBtn.addEventListener('click', () => {
+            this.closeProfileEditor();
+        });
+        
+        // Key mode buttons
+        this.elements.keysBtns.forEach(btn => {
             btn.addEventListener('click', () => {
-                this.selectDifficulty(btn.dataset.difficulty);
+                this.selectLaneCount(parseInt(btn.dataset.lanes));
             });
         });
         
+        // No Fail can't be combined with the modifiers that fail the song early
+        this.elements.modifierToggles.addEventListener('change', (e) => {
+            if (e.target === this.elements.noFailToggle && e.target.checked) {
+                this.elements.suddenDeathToggle.checked = false;
+                this.elements.perfectOnlyToggle.checked = false;
+            } else if (e.target !== this.elements.noFailToggle && e.target.checked) {
+                this.elements.noFailToggle.checked = false;
+            }
+        });
+        
+        // Lane cover
+        this.elements.laneCoverSlider.addEventListener('input', () => {
+            const percent = parseInt(this.elements.laneCoverSlider.value);
+            this.elements.laneCoverValue.textContent = percent > 0 ? `${percent}%` : 'Off';
+        });
+        
+        // Scroll speed
+        this.elements.scrollSpeedSlider.addEventListener('input', () => {
+            this.elements.scrollSpeedValue.textContent = ScrollMap.formatSpeed({ mode: 'constant', speed: this.getScrollSpeed().speed });
+        });
+        
+        // Playback rate
+        this.elements.rateSelect.addEventListener('change', () => {
+            this.selectRate(parseFloat(this.elements.rateSelect.value));
+        });
+        
         // Calibration slider
         if (this.elements.calibrationSlider) {
             this.elements.calibrationSlider.addEventListener('input', (e) => {
@@ -110,6 +274,90 @@ class UIManager {
             });
         }
         
+        // Seed roll button
+        if (this.elements.seedRollBtn) {
+            this.elements.seedRollBtn.addEventListener('click', () => {
+                this.setSeed(SeededRandom.randomUserSeed());
+            });
+        }
+        
+        // Chart import/export
+        this.elements.importChartBtn.addEventListener('click', () => {
+            this.elements.chartFileInput.click();
+        });
+        
+        this.elements.chartFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-importing the same file
+            if (file) this.importChartFile(file);
+        });
+        
+        this.elements.exportChartBtn.addEventListener('click', () => {
+            if (this.onExportChart) this.onExportChart(this.elements.exportFormatSelect.value);
+        });
+        
+        this.elements.clearChartBtn.addEventListener('click', () => {
+            this.setLoadedChart(null);
+        });
+        
+        this.elements.loadedChartSelect.addEventListener('change', (e) => {
+            this.selectSimfileChart(parseInt(e.target.value));
+        });
+        
+        // Local audio/video file
+        this.elements.browseLocalBtn.addEventListener('click', () => {
+            this.elements.localFileInput.click();
+        });
+        
+        this.elements.localFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.selectLocalFile(file);
+        });
+        
+        this.elements.clearLocalBtn.addEventListener('click', () => {
+            this.selectLocalFile(null);
+        });
+        
+        const dropZone = this.elements.localFileDrop;
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.selectLocalFile(file);
+        });
+        
+        // Chart editor
+        this.elements.openEditorBtn.addEventListener('click', () => {
+            this.handleOpenEditor();
+        });
+        
+        // Tap tempo
+        this.elements.openTapBtn.addEventListener('click', () => {
+            const url = this.elements.urlInput.value.trim();
+            if (this.validateUrl(url) && this.onOpenTapTempo) {
+                this.onOpenTapTempo(url, this.calibrationOffset);
+            }
+        });
+        
+        // Replays
+        this.elements.loadReplayBtn.addEventListener('click', () => {
+            this.elements.replayFileInput.click();
+        });
+        
+        this.elements.replayFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importReplayFile(file);
+        });
+        
         // Pause screen buttons
         this.elements.resumeBtn.addEventListener('click', () => {
             if (this.onResume) this.onResume();
@@ -131,29 +379,76 @@ class UIManager {
         this.elements.newSongBtn.addEventListener('click', () => {
             if (this.onNewSong) this.onNewSong();
         });
+        
+        this.elements.watchReplayBtn.addEventListener('click', () => {
+            if (this.onWatchReplay) this.onWatchReplay();
+        });
+        
+        this.elements.downloadReplayBtn.addEventListener('click', () => {
+            if (this.onDownloadReplay) this.onDownloadReplay();
+        });
     }
 
     /**
-     * Handle start button click
+     * Validate the URL input, showing an error if it is not a YouTube URL
      */
-    handleStart() {
-        const url = this.elements.urlInput.value.trim();
-        
+    validateUrl(url) {
         if (!url) {
             this.showError('Please enter a YouTube URL');
-            return;
+            return false;
         }
         
         // Basic URL validation
         if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
             this.showError('Please enter a valid YouTube URL');
-            return;
+            return false;
         }
         
+        this.clearError();
+        return true;
+    }
+
+    /**
+     * Handle start button click
+     */
+    handleStart() {
+        const url = this.elements.urlInput.value.trim();
+        
+        // A local file replaces the YouTube URL
+        if (!this.localFile && !this.validateUrl(url)) return;
         this.clearError();
         
         if (this.onStart) {
-            this.onStart(url, this.selectedDifficulty, this.calibrationOffset);
+            // Charts with a free-form difficulty name play under the selected difficulty
+            const chartDifficulty = this.loadedChart && this.loadedChart.metadata.difficulty;
+            const difficulty = this.isKnownDifficulty(chartDifficulty)
+                ? chartDifficulty
+                : this.selectedDifficulty;
+            
+            this.onStart(this.localFile ? null : url, difficulty, this.calibrationOffset, {
+                seed: this.getSeed(),
+                chart: this.loadedChart,
+                localFile: this.localFile,
+                laneCount: this.selectedLaneCount,
+                practice: this.elements.practiceToggle.checked,
+                autoplay: this.getAutoplay(),
+                rate: this.selectedRate,
+                modifiers: this.getModifiers(),
+                scrollSpeed: this.getScrollSpeed()
+            });
+        }
+    }
+
+    /**
+     * Handle chart editor button click
+     */
+    handleOpenEditor() {
+        const url = this.elements.urlInput.value.trim();
+        
+        if (!this.validateUrl(url)) return;
+        
+        if (this.onOpenEditor) {
+            this.onOpenEditor(url, this.selectedDifficulty, this.selectedLaneCount);
         }
     }
 
@@ -166,6 +461,200 @@ class UIManager {
         this.elements.difficultyBtns.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.difficulty === difficulty);
         });
+        
+        const profile = this.getDifficultyProfile(difficulty);
+        this.elements.editProfileBtn.classList.toggle('hidden', !profile);
+    }
+
+    /**
+     * Get the custom profile behind a difficulty (null for built-in difficulties)
+     */
+    getDifficultyProfile(difficulty) {
+        if (!this.difficultyProfiles || !DifficultyProfiles.isCustom(difficulty)) return null;
+        return this.difficultyProfiles.getProfile(difficulty);
+    }
+
+    /**
+     * Get the display name of a difficulty (the profile name for custom difficulties)
+     */
+    getDifficultyLabel(difficulty) {
+        const profile = this.getDifficultyProfile(difficulty);
+        if (profile) return profile.name;
+        return DifficultyProfiles.isCustom(difficulty) ? 'custom' : difficulty;
+    }
+
+    /**
+     * Set custom difficulty profiles reference
+     */
+    setDifficultyProfiles(difficultyProfiles) {
+        this.difficultyProfiles = difficultyProfiles;
+        this.renderProfiles();
+    }
+
+    /**
+     * Show a button for every custom profile next to the built-in difficulties
+     */
+    renderProfiles() {
+        const container = this.elements.difficultyButtons;
+        container.querySelectorAll('.custom-diff-btn').forEach(btn => btn.remove());
+        
+        for (const profile of this.difficultyProfiles.getProfiles()) {
+            const btn = document.createElement('button');
+            btn.className = 'diff-btn custom-diff-btn';
+            btn.dataset.difficulty = profile.id;
+            btn.textContent = profile.name;
+            btn.title = this.formatProfileSummary(profile);
+            container.insertBefore(btn, this.elements.editProfileBtn);
+        }
+        
+        this.elements.difficultyBtns = container.querySelectorAll('.diff-btn[data-difficulty]');
+        
+        // A deleted profile can't stay selected
+        const selected = DifficultyProfiles.isCustom(this.selectedDifficulty) && !this.getDifficultyProfile(this.selectedDifficulty)
+            ? 'medium'
+            : this.selectedDifficulty;
+        this.selectDifficulty(selected);
+    }
+
+    /**
+     * Describe a profile's settings, e.g. for a tooltip
+     */
+    formatProfileSummary(profile) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        return [
+            `${Math.round(profile.bpmMin)}-${Math.round(profile.bpmMax)} BPM`,
+            `${percent(profile.density)} density`,
+            `${percent(profile.eighthRate)} 8ths`,
+            `${percent(profile.sixteenthRate)} 16ths`,
+            `${percent(profile.chordRate)} chords`,
+            `${percent(profile.mineRate)} mines`,
+            `${Math.round(profile.minGap * 1000)}ms lane gap`,
+            `${percent(profile.healthDrain)} health drain`
+        ].join(' · ');
+    }
+
+    /**
+     * Open the profile editor on a profile, or on a new profile based on the defaults
+     */
+    openProfileEditor(profile) {
+        const values = profile || DifficultyProfiles.DEFAULT_PROFILE;
+        this.editingProfileId = profile ? profile.id : null;
+        
+        this.elements.profileName.value = values.name;
+        this.elements.profileBpmMin.value = Math.round(values.bpmMin);
+        this.elements.profileBpmMax.value = Math.round(values.bpmMax);
+        this.elements.profileDensity.value = Math.round(values.density * 100);
+        this.elements.profileEighths.value = Math.round(values.eighthRate * 100);
+        this.elements.profileSixteenths.value = Math.round(values.sixteenthRate * 100);
+        this.elements.profileChords.value = Math.round(values.chordRate * 100);
+        this.elements.profileMines.value = Math.round(values.mineRate * 100);
+        this.elements.profileMinGap.value = Math.round(values.minGap * 1000);
+        this.elements.profileHealthDrain.value = Math.round(values.healthDrain * 100);
+        
+        this.elements.deleteProfileBtn.disabled = !profile;
+        this.elements.profileEditor.classList.remove('hidden');
+        this.updateProfileEditor(null);
+        this.elements.profileName.focus();
+    }
+
+    /**
+     * Close the profile editor without saving
+     */
+    closeProfileEditor() {
+        this.editingProfileId = null;
+        this.elements.profileEditor.classList.add('hidden');
+    }
+
+    /**
+     * Refresh the value labels of the profile editor
+     * 8th and 16th notes share the measures, so raising one lowers the other past 100%
+     * @param {HTMLElement|null} changed - The input that changed
+     */
+    updateProfileEditor(changed) {
+        const eighths = this.elements.profileEighths;
+        const sixteenths = this.elements.profileSixteenths;
+        const overflow = parseInt(eighths.value) + parseInt(sixteenths.value) - 100;
+        if (overflow > 0) {
+            const other = changed === sixteenths ? eighths : sixteenths;
+            other.value = parseInt(other.value) - overflow;
+        }
+        
+        const label = (input, text) => {
+            document.getElementById(`${input.id}-value`).textContent = text;
+        };
+        label(this.elements.profileDensity, `${this.elements.profileDensity.value}%`);
+        label(eighths, `${eighths.value}%`);
+        label(sixteenths, `${sixteenths.value}%`);
+        label(this.elements.profileChords, `${this.elements.profileChords.value}%`);
+        label(this.elements.profileMines, `${this.elements.profileMines.value}%`);
+        label(this.elements.profileMinGap, `${this.elements.profileMinGap.value}ms`);
+        label(this.elements.profileHealthDrain, `${this.elements.profileHealthDrain.value}%`);
+        
+        const quarters = 100 - parseInt(eighths.value) - parseInt(sixteenths.value);
+        this.elements.profileHint.textContent = `Remaining ${quarters}% of measures use quarter notes. ` +
+            'Editing a difficulty changes the charts it generates.';
+    }
+
+    /**
+     * Save the profile editor's values and select the profile
+     */
+    saveEditedProfile() {
+        try {
+            const profile = this.difficultyProfiles.saveProfile({
+                id: this.editingProfileId || undefined,
+                name: this.elements.profileName.value,
+                bpmMin: parseFloat(this.elements.profileBpmMin.value),
+                bpmMax: parseFloat(this.elements.profileBpmMax.value),
+                density: parseInt(this.elements.profileDensity.value) / 100,
+                eighthRate: parseInt(this.elements.profileEighths.value) / 100,
+                sixteenthRate: parseInt(this.elements.profileSixteenths.value) / 100,
+                chordRate: parseInt(this.elements.profileChords.value) / 100,
+                mineRate: parseInt(this.elements.profileMines.value) / 100,
+                minGap: parseInt(this.elements.profileMinGap.value) / 1000,
+                healthDrain: parseInt(this.elements.profileHealthDrain.value) / 100
+            });
+            
+            this.closeProfileEditor();
+            this.clearError();
+            this.selectedDifficulty = profile.id;
+            this.renderProfiles();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete the profile open in the editor
+     */
+    deleteEditedProfile() {
+        if (!this.editingProfileId) return;
+        
+        this.difficultyProfiles.removeProfile(this.editingProfileId);
+        this.closeProfileEditor();
+        this.renderProfiles();
+        this.renderHistory();
+    }
+
+    /**
+     * Check whether a difficulty has a button on the start screen
+     * (imported charts may carry free-form names such as osu! version names)
+     */
+    isKnownDifficulty(difficulty) {
+        return Array.from(this.elements.difficultyBtns).some(btn => btn.dataset.difficulty === difficulty);
+    }
+
+    /**
+     * Select key mode (lane count)
+     */
+    selectLaneCount(laneCount) {
+        this.selectedLaneCount = laneCount;
+        
+        this.elements.keysBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.lanes) === laneCount);
+        });
+        
+        const keys = KeyModes.get(laneCount).keys;
+        this.elements.keysHint.textContent = keys.map(key => KeyModes.getKeyLabel(key)).join(' ');
     }
 
     /**
@@ -181,6 +670,7 @@ class UIManager {
         if (this.screens[screenName]) {
             this.screens[screenName].classList.add('active');
             this.currentScreen = screenName;
+            document.body.dataset.screen = screenName;
         }
     }
 
@@ -297,17 +787,193 @@ class UIManager {
     /**
      * Update results screen
      */
-    showResults(stats) {
+    showResults(stats, seedInfo = null, rating = null, practiceLoops = null) {
+        this.elements.resultsTitle.textContent = stats.failed ? 'Failed'
+            : stats.autoplay ? 'Autoplay Results'
+            : stats.replay ? 'Replay Results'
+            : 'Results';
+        this.screens.results.classList.toggle('failed', Boolean(stats.failed));
         this.elements.finalScore.textContent = stats.score.toLocaleString();
+        this.elements.finalRate.textContent = `${ScoringSystem.formatRate(stats.rate)} · score ×${stats.scoreMultiplier.toFixed(2)}`;
+        this.elements.finalRate.classList.toggle('hidden', stats.rate === 1);
+        const modifierLabels = GameModifiers.getLabels(stats.modifiers);
+        if (stats.autoplay) {
+            modifierLabels.push(GameEngine.AUTOPLAY_LABEL);
+        }
+        if (stats.replay) {
+            modifierLabels.push(GameEngine.REPLAY_LABEL);
+        }
+        this.elements.finalModifiers.textContent = modifierLabels.join(' · ');
+        this.elements.finalModifiers.classList.toggle('hidden', modifierLabels.length === 0);
         this.elements.maxCombo.textContent = stats.maxCombo;
         this.elements.finalAccuracy.textContent = `${stats.accuracy}%`;
         this.elements.perfectCount.textContent = stats.breakdown.perfect;
         this.elements.goodCount.textContent = stats.breakdown.good;
         this.elements.missCount.textContent = stats.breakdown.miss;
         
+        // Mines hit out of the chart's mines (hidden for charts without mines)
+        this.elements.mineCount.textContent = `${stats.breakdown.mines} / ${stats.totalMines}`;
+        this.elements.mineBreakdown.classList.toggle('hidden', stats.totalMines === 0);
+        
+        if (seedInfo && this.elements.finalSeed) {
+            this.elements.finalSeed.textContent = this.formatSeedLabel(seedInfo);
+        }
+        
+        if (rating) {
+            this.elements.finalRating.textContent = ChartAnalyzer.formatStars(rating.stars);
+            this.elements.finalRatingDetails.textContent = this.formatRatingDetails(rating);
+            this.drawNpsGraph(this.elements.resultsNpsGraph, rating.npsCurve);
+        }
+        
+        // Practice plays list every pass instead of being saved
+        this.elements.practiceResults.classList.toggle('hidden', !practiceLoops);
+        if (practiceLoops) {
+            this.renderPracticeLoops(this.elements.practiceResultsList, practiceLoops);
+        }
+        
         this.showScreen('results');
     }
 
+    /**
+     * Show or hide the replay buttons on the results screen
+     */
+    setReplayAvailable(available) {
+        this.elements.watchReplayBtn.classList.toggle('hidden', !available);
+        this.elements.downloadReplayBtn.classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Show the active modifiers on the game screen
+     * @param {string[]} labels - e.g. ['Mirror', '1.5x']
+     */
+    showModifiers(labels) {
+        this.elements.modifierBadges.innerHTML = '';
+        labels.forEach(label => {
+            const badge = document.createElement('span');
+            badge.className = 'modifier-badge';
+            badge.textContent = label;
+            this.elements.modifierBadges.appendChild(badge);
+        });
+        this.elements.modifierBadges.classList.toggle('hidden', labels.length === 0);
+    }
+
+    /**
+     * Show the scroll speed on the game screen (it can change during the song)
+     */
+    showScrollSpeed(label) {
+        this.elements.scrollSpeedDisplay.textContent = `Scroll ${label}`;
+    }
+
+    /**
+     * Show the fail overlay over the stopped game
+     */
+    showFailed() {
+        this.elements.failOverlay.classList.remove('hidden');
+    }
+
+    /**
+     * Show or hide the practice panel on the game screen
+     */
+    showPracticePanel(visible) {
+        this.elements.practicePanel.classList.toggle('hidden', !visible);
+        this.elements.restartBtn.textContent = 'Restart';
+    }
+
+    /**
+     * Show the practice loop points and the scores of the last loops
+     * @param {object} practice - GameEngine practice state { loopStart, loopEnd, loops }
+     */
+    updatePractice(practice) {
+        let label = 'Click the progress bar to set A';
+        if (practice.loopStart !== null && practice.loopEnd === null) {
+            label = `A ${this.formatSongTime(practice.loopStart)} · click to set B`;
+        } else if (practice.loopStart !== null) {
+            label = `A ${this.formatSongTime(practice.loopStart)} – B ${this.formatSongTime(practice.loopEnd)}`;
+        }
+        this.elements.practiceLoop.textContent = label;
+        
+        // The pause menu's Restart goes back to A once it is set
+        this.elements.restartBtn.textContent = practice.loopStart !== null ? 'Restart Section' : 'Restart';
+        
+        const firstShown = Math.max(0, practice.loops.length - UIManager.PRACTICE_LOOPS_SHOWN);
+        this.renderPracticeLoops(this.elements.practiceLoopList, practice.loops.slice(firstShown), firstShown + 1);
+    }
+
+    /**
+     * Fill a list with practice loop scores, highlighting the best one
+     * @param {object[]} loops - { score, accuracy, maxCombo, miss, mines }
+     * @param {number} firstNumber - Loop number of the first entry
+     */
+    renderPracticeLoops(list, loops, firstNumber = 1) {
+        list.innerHTML = '';
+        list.start = firstNumber;
+        const best = Math.max(...loops.map(loop => loop.score));
+        
+        loops.forEach(loop => {
+            const item = document.createElement('li');
+            item.textContent = `${loop.score.toLocaleString()} · ${loop.accuracy}% · ${loop.miss} miss` +
+                (loop.mines > 0 ? ` · ${loop.mines} mines` : '');
+            item.classList.toggle('best', loops.length > 1 && loop.score === best);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Format a song time as M:SS.s
+     */
+    formatSongTime(seconds) {
+        const time = Math.max(0, seconds);
+        const mins = Math.floor(time / 60);
+        const secs = (Math.floor((time % 60) * 10) / 10).toFixed(1).padStart(4, '0');
+        return `${mins}:${secs}`;
+    }
+
+    /**
+     * Show the chart's difficulty rating on the loading screen and in the game HUD
+     */
+    showChartRating(rating) {
+        this.elements.hudRating.textContent = ChartAnalyzer.formatStars(rating.stars);
+        this.elements.loadingRatingLabel.textContent = `${ChartAnalyzer.formatStars(rating.stars)} · ${this.formatRatingDetails(rating)}`;
+        this.drawNpsGraph(this.elements.loadingNpsGraph, rating.npsCurve);
+        this.elements.loadingRating.classList.remove('hidden');
+    }
+
+    /**
+     * Format the numbers behind a rating, e.g. "3.4 NPS avg · 7.5 peak · jack 1.2 · trill 3.5"
+     */
+    formatRatingDetails(rating) {
+        return `${rating.averageNps} NPS avg · ${rating.peakNps} peak · jack ${rating.jackStrain} · trill ${rating.trillStrain}`;
+    }
+
+    /**
+     * Draw a notes-per-second curve as a filled graph
+     */
+    drawNpsGraph(canvas, curve) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        if (curve.length < 2) return;
+        
+        const maxNps = Math.max(1, ...curve.map(point => point.nps));
+        const x = (index) => (index / (curve.length - 1)) * width;
+        const y = (nps) => height - (nps / maxNps) * (height - 4);
+        
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        curve.forEach((point, index) => ctx.lineTo(x(index), y(point.nps)));
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(108, 92, 231, 0.35)';
+        ctx.fill();
+        
+        ctx.beginPath();
+        curve.forEach((point, index) => ctx.lineTo(x(index), y(point.nps)));
+        ctx.strokeStyle = '#6c5ce7';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
     /**
      * Get current URL input value
      */
@@ -315,6 +981,204 @@ class UIManager {
         return this.elements.urlInput.value.trim();
     }
 
+    /**
+     * Get the user seed entered on the start screen
+     */
+    getSeed() {
+        return this.elements.seedInput ? this.elements.seedInput.value.trim() : '';
+    }
+
+    /**
+     * Set the user seed on the start screen
+     */
+    setSeed(seed) {
+        if (this.elements.seedInput) {
+            this.elements.seedInput.value = seed || '';
+        }
+    }
+
+    /**
+     * Format a saved score with its playback rate (unless it was 1x) and modifiers,
+     * e.g. "12,345 pts · 1.5x · MR SD"
+     */
+    formatScoreLabel(score, rate = 1, modifiers = null) {
+        const parts = [`${score.toLocaleString()} pts`];
+        if (rate && rate !== 1) {
+            parts.push(ScoringSystem.formatRate(rate));
+        }
+        
+        const labels = GameModifiers.getLabels(modifiers, true);
+        if (labels.length > 0) {
+            parts.push(labels.join(' '));
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Format a seed for display, e.g. "myseed (#1a2b3c4d)"
+     */
+    formatSeedLabel(seedInfo) {
+        if (seedInfo.isImported) return 'imported chart';
+        return `${seedInfo.userSeed || 'default'} (#${seedInfo.hex})`;
+    }
+
+    /**
+     * Read and validate a chart file chosen by the user
+     */
+    async importChartFile(file) {
+        try {
+            const text = await file.text();
+            
+            // Simfiles hold several difficulties to pick from
+            if (StepManiaFormat.isSimfile(file.name)) {
+                const simfile = StepManiaFormat.parse(text, file.name);
+                this.clearError();
+                this.setLoadedSimfile(simfile);
+                this.storeCharts(simfile.charts.map(entry => entry.chart));
+                return;
+            }
+            
+            const chart = OsuManiaFormat.isOsuFile(file.name) ? OsuManiaFormat.parse(text) : ChartFormat.parse(text);
+            this.clearError();
+            this.useImportedChart(chart);
+            this.storeCharts([chart]);
+        } catch (error) {
+            console.error('Failed to import chart:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Read and validate a replay file chosen by the user, then hand it over to be watched
+     */
+    async importReplayFile(file) {
+        try {
+            const replay = ReplayFormat.parse(await file.text());
+            this.clearError();
+            if (this.onLoadReplay) this.onLoadReplay(replay);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Load an imported chart and point the start screen settings at it
+     */
+    useImportedChart(chart, warnings = []) {
+        this.setLoadedChart(chart, warnings);
+        
+        // Point the URL field at the chart's video
+        if (chart.videoId) {
+            this.elements.urlInput.value = `https://www.youtube.com/watch?v=${chart.videoId}`;
+        }
+        if (this.isKnownDifficulty(chart.metadata.difficulty)) {
+            this.selectDifficulty(chart.metadata.difficulty);
+        }
+        this.selectLaneCount(chart.laneCount);
+    }
+
+    /**
+     * Offer the difficulties of a StepMania simfile, starting with the one
+     * matching the selected difficulty
+     */
+    setLoadedSimfile(simfile) {
+        const select = this.elements.loadedChartSelect;
+        select.innerHTML = '';
+        
+        simfile.charts.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${entry.name} · ${entry.chart.notes.length} notes`;
+            select.appendChild(option);
+        });
+        
+        const matching = simfile.charts.findIndex(entry => entry.chart.metadata.difficulty === this.selectedDifficulty);
+        const index = Math.max(0, matching);
+        
+        this.loadedSimfile = simfile;
+        select.value = index;
+        select.classList.toggle('hidden', simfile.charts.length < 2);
+        this.selectSimfileChart(index);
+    }
+
+    /**
+     * Load one difficulty of the loaded simfile
+     */
+    selectSimfileChart(index) {
+        const entry = this.loadedSimfile.charts[index];
+        this.useImportedChart(entry.chart, [...this.loadedSimfile.warnings, ...entry.warnings]);
+    }
+
+    /**
+     * Set (or clear) the chart that will be played instead of a generated one
+     * @param {string[]} warnings - Import problems to show on hover (e.g. skipped fake notes)
+     */
+    setLoadedChart(chart, warnings = []) {
+        this.loadedChart = chart;
+        
+        // Any other chart replaces the simfile's difficulty list
+        if (this.loadedSimfile && !this.loadedSimfile.charts.some(entry => entry.chart === chart)) {
+            this.loadedSimfile = null;
+            this.elements.loadedChartSelect.classList.add('hidden');
+        }
+        
+        if (chart) {
+            const name = chart.metadata.title || chart.videoId || 'Untitled chart';
+            // Known difficulties show on the buttons; other names are shown here
+            const difficulty = chart.metadata.difficulty && !this.isKnownDifficulty(chart.metadata.difficulty)
+                ? ` · ${chart.metadata.difficulty}`
+                : '';
+            // Converted charts (osu!mania, StepMania) name their audio file instead of a video
+            const audio = !chart.videoId && chart.metadata.audioFilename ? ` · 🎵 ${chart.metadata.audioFilename}` : '';
+            const warning = warnings.length > 0 ? ` · ⚠️ ${warnings.length}` : '';
+            this.elements.loadedChartLabel.textContent = `📄 ${name}${difficulty} · ${chart.laneCount}K · ${chart.notes.length} notes${audio}${warning}`;
+            this.elements.loadedChartLabel.title = warnings.join('\n');
+            this.elements.loadedChart.classList.remove('hidden');
+        } else {
+            this.elements.loadedChart.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Set (or clear) the local audio/video file to play instead of YouTube
+     */
+    selectLocalFile(file) {
+        if (file && !LocalMediaPlayer.isSupportedFile(file)) {
+            this.showError(`"${file.name}" is not an audio or video file`);
+            return;
+        }
+        
+        this.clearError();
+        this.localFile = file;
+        
+        if (file) {
+            const sizeMb = (file.size / (1024 * 1024)).toFixed(1);
+            this.elements.localFileLabel.textContent = `🎧 ${file.name} · ${sizeMb} MB`;
+            this.elements.localFile.classList.remove('hidden');
+        } else {
+            this.elements.localFile.classList.add('hidden');
+        }
+        this.elements.localFileDrop.classList.toggle('has-file', Boolean(file));
+    }
+
+    /**
+     * Offer a text file to the user as a download
+     */
+    downloadFile(filename, content, mimeType = 'application/json') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Get selected difficulty
      */
@@ -322,6 +1186,52 @@ class UIManager {
         return this.selectedDifficulty;
     }
 
+    /**
+     * Get the game modifiers picked on the start screen (see GameModifiers)
+     */
+    getModifiers() {
+        return {
+            lanes: this.elements.laneModifierSelect.value,
+            noFail: this.elements.noFailToggle.checked,
+            suddenDeath: this.elements.suddenDeathToggle.checked,
+            perfectOnly: this.elements.perfectOnlyToggle.checked,
+            hidden: this.elements.hiddenToggle.checked,
+            sudden: this.elements.suddenToggle.checked,
+            laneCover: parseInt(this.elements.laneCoverSlider.value) / 100
+        };
+    }
+
+    /**
+     * Get the autoplay setting picked on the start screen
+     * @returns {object|null} - { jitter } in seconds, or null when the player plays
+     */
+    getAutoplay() {
+        if (!this.elements.autoplayToggle.checked) return null;
+        return { jitter: parseInt(this.elements.autoplayJitterSelect.value) / 1000 };
+    }
+
+    /**
+     * Get the scroll speed setting picked on the start screen
+     * @returns {object} - { mode: 'constant' | 'bpm', speed } (see ScrollMap)
+     */
+    getScrollSpeed() {
+        return {
+            mode: this.elements.scrollModeSelect.value,
+            speed: parseInt(this.elements.scrollSpeedSlider.value) / 10
+        };
+    }
+
+    /**
+     * Select the playback rate and show the score multiplier it gives
+     */
+    selectRate(rate) {
+        this.selectedRate = rate;
+        this.elements.rateSelect.value = String(rate);
+        this.elements.rateHint.textContent = rate === 1
+            ? 'Normal speed'
+            : `Score ×${ScoringSystem.getRateMultiplier(rate).toFixed(2)}`;
+    }
+
     /**
      * Set callbacks
      */
@@ -333,17 +1243,25 @@ class UIManager {
         if (callbacks.onPlayAgain) this.onPlayAgain = callbacks.onPlayAgain;
         if (callbacks.onNewSong) this.onNewSong = callbacks.onNewSong;
         if (callbacks.onHistorySelect) this.onHistorySelect = callbacks.onHistorySelect;
+        if (callbacks.onExportChart) this.onExportChart = callbacks.onExportChart;
+        if (callbacks.onOpenEditor) this.onOpenEditor = callbacks.onOpenEditor;
+        if (callbacks.onOpenTapTempo) this.onOpenTapTempo = callbacks.onOpenTapTempo;
+        if (callbacks.onLoadReplay) this.onLoadReplay = callbacks.onLoadReplay;
+        if (callbacks.onWatchReplay) this.onWatchReplay = callbacks.onWatchReplay;
+        if (callbacks.onDownloadReplay) this.onDownloadReplay = callbacks.onDownloadReplay;
     }
 
     /**
      * Reset to initial state
      */
     reset() {
+        this.elements.loadingRating.classList.add('hidden');
         this.updateScore(0);
         this.updateCombo(0);
         this.updateAccuracy(100);
         this.elements.hitFeedback.classList.remove('show');
         this.elements.countdown.classList.add('hidden');
+        this.elements.failOverlay.classList.add('hidden');
     }
 
     /**
@@ -354,6 +1272,166 @@ class UIManager {
         this.renderHistory();
     }
 
+    /**
+     * Set chart store reference
+     */
+    setChartStore(chartStore) {
+        this.chartStore = chartStore;
+        this.renderSavedCharts();
+    }
+
+    /**
+     * Keep imported charts in the chart store
+     */
+    storeCharts(charts) {
+        if (!this.chartStore) return;
+        
+        Promise.all(charts.map(chart => this.chartStore.saveChart(chart)))
+            .then(() => this.renderSavedCharts())
+            .catch(error => console.error('Failed to store imported charts:', error));
+    }
+
+    /**
+     * Render the saved chart list: charts for the video in the URL field, or all charts
+     */
+    async renderSavedCharts() {
+        if (!this.chartStore) return;
+        
+        const render = ++this.savedChartsRender;
+        const videoId = this.historyManager ? this.historyManager.extractVideoId(this.elements.urlInput.value.trim()) : null;
+        
+        let records;
+        try {
+            records = await this.chartStore.listCharts(videoId);
+        } catch (error) {
+            console.error('Failed to load saved charts:', error);
+            return;
+        }
+        
+        // A newer render started while this one was loading
+        if (render !== this.savedChartsRender) return;
+        
+        if (records.length === 0) {
+            this.elements.savedChartsSection.style.display = 'none';
+            return;
+        }
+        
+        this.elements.savedChartsTitle.textContent = videoId ? 'Saved Charts for This Video' : 'Saved Charts';
+        this.elements.savedChartsSection.style.display = 'block';
+        this.elements.savedChartList.innerHTML = '';
+        
+        for (const record of records) {
+            this.elements.savedChartList.appendChild(this.createSavedChartItem(record));
+        }
+    }
+
+    /**
+     * Create a saved chart list item; clicking it loads the chart for the Play button
+     */
+    createSavedChartItem(record) {
+        const chart = record.chart;
+        const div = document.createElement('div');
+        div.className = 'history-item';
+        div.dataset.id = record.id;
+        
+        // Thumbnail
+        if (record.videoId) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'history-item-thumbnail';
+            thumbnail.src = `https://img.youtube.com/vi/${record.videoId}/default.jpg`;
+            thumbnail.alt = '';
+            thumbnail.onerror = () => {
+                thumbnail.style.display = 'none';
+            };
+            div.appendChild(thumbnail);
+        }
+        
+        // Info container
+        const info = document.createElement('div');
+        info.className = 'history-item-info';
+        
+        // Title (generated charts have none, so use the video's title from the history)
+        const historyItem = this.historyManager && record.videoId
+            ? this.historyManager.getHistory().find(item => item.videoId === record.videoId)
+            : null;
+        const title = document.createElement('div');
+        title.className = 'history-item-title';
+        title.textContent = chart.metadata.title || (historyItem && historyItem.title) || record.videoId || 'Untitled chart';
+        title.title = title.textContent;
+        
+        // Meta info
+        const meta = document.createElement('div');
+        meta.className = 'history-item-meta';
+        
+        if (record.bestScore !== null) {
+            const score = document.createElement('span');
+            score.className = 'history-item-score';
+            score.textContent = this.formatScoreLabel(record.bestScore, record.bestRate, record.bestModifiers);
+            score.title = `Best accuracy ${record.bestAccuracy}% · ${record.playCount} plays`;
+            meta.appendChild(score);
+        }
+        
+        if (record.difficulty) {
+            const difficulty = document.createElement('span');
+            difficulty.className = `history-item-difficulty ${DifficultyProfiles.isCustom(record.difficulty) ? 'custom' : record.difficulty}`;
+            difficulty.textContent = this.getDifficultyLabel(record.difficulty);
+            meta.appendChild(difficulty);
+        }
+        
+        if (record.stars !== null) {
+            const rating = document.createElement('span');
+            rating.className = 'history-item-rating';
+            rating.textContent = ChartAnalyzer.formatStars(record.stars);
+            meta.appendChild(rating);
+        }
+        
+        const keys = document.createElement('span');
+        keys.className = 'history-item-keys';
+        keys.textContent = `${record.laneCount}K · ${record.noteCount} notes`;
+        meta.appendChild(keys);
+        
+        if (chart.metadata.seed) {
+            const seed = document.createElement('span');
+            seed.className = 'history-item-seed';
+            seed.textContent = `seed ${chart.metadata.seed}`;
+            meta.appendChild(seed);
+        }
+        
+        if (this.historyManager) {
+            const timeAgo = document.createElement('span');
+            timeAgo.textContent = this.historyManager.formatRelativeTime(record.lastUsed);
+            meta.appendChild(timeAgo);
+        }
+        
+        info.appendChild(title);
+        info.appendChild(meta);
+        div.appendChild(info);
+        
+        // Delete button
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'history-item-delete';
+        deleteBtn.title = 'Delete saved chart';
+        deleteBtn.textContent = '✕';
+        deleteBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            try {
+                await this.chartStore.removeChart(record.id);
+            } catch (error) {
+                console.error('Failed to delete saved chart:', error);
+            }
+            this.renderSavedCharts();
+        });
+        div.appendChild(deleteBtn);
+        
+        // Click handler
+        div.addEventListener('click', () => {
+            this.clearError();
+            this.useImportedChart(chart);
+        });
+        
+        return div;
+    }
+
     /**
      * Render history list
      */
@@ -384,6 +1462,8 @@ class UIManager {
         div.className = 'history-item';
         div.dataset.url = item.url;
         div.dataset.difficulty = item.difficulty;
+        div.dataset.seed = item.seed || '';
+        div.dataset.lanes = item.laneCount || KeyModes.DEFAULT_LANE_COUNT;
         
         // Thumbnail
         const thumbnail = document.createElement('img');
@@ -410,19 +1490,43 @@ class UIManager {
         
         // Difficulty badge
         const difficulty = document.createElement('span');
-        difficulty.className = `history-item-difficulty ${item.difficulty}`;
-        difficulty.textContent = item.difficulty;
+        difficulty.className = `history-item-difficulty ${DifficultyProfiles.isCustom(item.difficulty) ? 'custom' : item.difficulty}`;
+        difficulty.textContent = this.getDifficultyLabel(item.difficulty);
         
         // High score
         if (item.highScore !== undefined && item.highScore !== null) {
             const score = document.createElement('span');
             score.className = 'history-item-score';
-            score.textContent = `${item.highScore.toLocaleString()} pts`;
+            score.textContent = this.formatScoreLabel(item.highScore, item.highScoreRate, item.highScoreModifiers);
             meta.appendChild(score);
         }
         
         meta.appendChild(difficulty);
         
+        // Difficulty rating of the last chart played
+        if (item.rating) {
+            const rating = document.createElement('span');
+            rating.className = 'history-item-rating';
+            rating.textContent = ChartAnalyzer.formatStars(item.rating.stars);
+            rating.title = `${item.rating.averageNps} NPS avg · ${item.rating.peakNps} peak`;
+            meta.appendChild(rating);
+        }
+        
+        // Key mode (older entries were all 4K)
+        const laneCount = item.laneCount || KeyModes.DEFAULT_LANE_COUNT;
+        const keys = document.createElement('span');
+        keys.className = 'history-item-keys';
+        keys.textContent = `${laneCount}K`;
+        meta.appendChild(keys);
+        
+        // Seed used for the chart
+        if (item.seed) {
+            const seed = document.createElement('span');
+            seed.className = 'history-item-seed';
+            seed.textContent = `seed ${item.seed}`;
+            meta.appendChild(seed);
+        }
+        
         // Time ago
         const timeAgo = document.createElement('span');
         timeAgo.textContent = this.historyManager.formatRelativeTime(item.lastPlayed);
@@ -438,9 +1542,11 @@ class UIManager {
         div.addEventListener('click', () => {
             this.elements.urlInput.value = item.url;
             this.selectDifficulty(item.difficulty);
+            this.setSeed(item.seed);
+            this.selectLaneCount(laneCount);
             
             if (this.onHistorySelect) {
-                this.onHistorySelect(item.url, item.difficulty);
+                this.onHistorySelect(item.url, item.difficulty, item.seed, laneCount);
             }
         });
         
@@ -457,5 +1563,7 @@ class UIManager {
     }
 }
 
+UIManager.PRACTICE_LOOPS_SHOWN = 5; // Latest loop scores listed on the game screen
+
 // Export as global
 window.UIManager = UIManager;
@@ -184,6 +184,25 @@ class YouTubePlayerManager {
         }
     }
 
+    /**
+     * Set the playback rate (1 = normal speed)
+     */
+    setPlaybackRate(rate) {
+        if (this.player && this.isReady) {
+            this.player.setPlaybackRate(rate);
+        }
+    }
+
+    /**
+     * Get the playback rates the loaded video supports
+     */
+    getAvailablePlaybackRates() {
+        if (this.player && this.isReady) {
+            return this.player.getAvailablePlaybackRates();
+        }
+        return [1];
+    }
+
     /**
      * Get current playback time
      */